@@ -3,8 +3,123 @@ import axios from 'axios';
 import { auth, provider } from './firebase';
 import { signInWithPopup, signOut, onAuthStateChanged } from 'firebase/auth';
 import { motion } from 'framer-motion';
+import TrendChart from './TrendChart';
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+const HISTORY_PAGE_SIZE = 20;
+// Longest the app waits on an upload job before giving up on it.
+const JOB_MAX_WAIT_MS = 30 * 60 * 1000;
+const jobTimedOut = () => ({
+  job: { status: 'failed', error: 'The upload is taking much longer than expected. Check your saved analyses later, or upload the file again.' }
+});
+const ROLES = ['viewer', 'analyst', 'admin'];
+const WEBHOOK_EVENTS = [
+  { key: 'analysis.completed', label: 'Analysis completed' },
+  { key: 'analysis.below_threshold', label: 'Score below threshold' }
+];
+const deliveryStatusColors = {
+  succeeded: 'text-emerald-400',
+  pending: 'text-yellow-400',
+  failed: 'text-red-400'
+};
+const API_KEY_SCOPES = [
+  { key: 'upload', label: 'Upload files' },
+  { key: 'read', label: 'Read analyses and reports' }
+];
+
+// Requests act on the selected organization's workspace; without the header they use the personal one.
+const setWorkspaceHeader = (orgId) => {
+  if (orgId) axios.defaults.headers.common['X-Org-Id'] = orgId;
+  else delete axios.defaults.headers.common['X-Org-Id'];
+};
+const emptyHistoryFilters = { q: '', tags: '', from: '', to: '', minScore: '', maxScore: '' };
+
+const formatDelta = (delta) => {
+  if (delta === null || delta === undefined) return '—';
+  return delta > 0 ? `+${delta.toLocaleString()}` : delta.toLocaleString();
+};
+
+const deltaColor = (delta) => {
+  if (!delta) return 'text-gray-400';
+  return delta > 0 ? 'text-green-400' : 'text-red-400';
+};
+
+const exportFormats = [
+  { key: 'csv', label: 'CSV' },
+  { key: 'json', label: 'JSON' },
+  { key: 'pdf', label: 'PDF' }
+];
+
+const fileNameFromDisposition = (disposition, fallback) => {
+  const match = disposition?.match(/filename="?([^";]+)"?/);
+  return match ? match[1] : fallback;
+};
+
+const policyTypes = [
+  { key: 'forbidden_product', label: 'Forbidden products' },
+  { key: 'required_product', label: 'Required product variant' },
+  { key: 'min_recycled_content', label: 'Minimum recycled content' },
+  { key: 'supplier_allowlist', label: 'Approved suppliers only' },
+  { key: 'supplier_denylist', label: 'Blocked suppliers' },
+  { key: 'quantity_cap', label: 'Quantity cap' }
+];
+
+const severityStyles = {
+  critical: 'text-red-300 bg-red-500/10 border-red-500/30',
+  warning: 'text-yellow-300 bg-yellow-500/10 border-yellow-500/30',
+  info: 'text-blue-300 bg-blue-500/10 border-blue-500/30'
+};
+
+const emptyPolicyDraft = {
+  name: '', severity: 'warning', type: 'forbidden_product', products: '', categories: '', except: '',
+  required: '', suppliers: '', maxQuantity: '', minPercent: ''
+};
+
+const splitList = (text) => text.split(',').map(entry => entry.trim()).filter(Boolean);
+
+// The form keeps comma-separated text; the API takes lists and only the fields the rule type uses.
+const policyFromDraft = (draft) => ({
+  name: draft.name,
+  severity: draft.severity,
+  type: draft.type,
+  match: { products: splitList(draft.products), categories: splitList(draft.categories), except: splitList(draft.except) },
+  ...(draft.type === 'required_product' && { require: { products: splitList(draft.required) } }),
+  ...(draft.type === 'min_recycled_content' && { minPercent: draft.minPercent }),
+  ...(['supplier_allowlist', 'supplier_denylist'].includes(draft.type) && { suppliers: splitList(draft.suppliers) }),
+  ...(draft.type === 'quantity_cap' && { maxQuantity: draft.maxQuantity })
+});
+
+// "Catalog: A4 Copier Paper FSC · FSC · 92% match"
+const describeCatalogMatch = (match) =>
+  [`Catalog: ${match.name}`, ...match.certifications, `${Math.round(match.confidence * 100)}% match`].join(' · ');
+
+const describePolicy = (policy) => {
+  const scope = [
+    policy.match.products.length > 0 && `products: ${policy.match.products.join(', ')}`,
+    policy.match.categories.length > 0 && `categories: ${policy.match.categories.join(', ')}`,
+    policy.match.except.length > 0 && `except: ${policy.match.except.join(', ')}`
+  ].filter(Boolean).join(' · ') || 'all rows';
+  const detail = {
+    required_product: policy.require?.products.join(' or '),
+    min_recycled_content: `at least ${policy.minPercent}%`,
+    supplier_allowlist: policy.suppliers?.join(', '),
+    supplier_denylist: policy.suppliers?.join(', '),
+    quantity_cap: `at most ${policy.maxQuantity}`
+  }[policy.type];
+  return detail ? `${scope} → ${detail}` : scope;
+};
+
+const comparisonStatusLabels = {
+  added: 'Added',
+  removed: 'Removed',
+  changed: 'Quantity changed',
+  unchanged: 'Unchanged'
+};
+
+// Only filters with a value are sent; the server rejects empty numbers and dates.
+const historyParams = (filters) => Object.fromEntries(
+  Object.entries(filters).map(([key, value]) => [key, value.trim()]).filter(([, value]) => value !== '')
+);
 
 function App() {
   const [user, setUser] = useState(null);
@@ -13,6 +128,64 @@ function App() {
   const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [fileHeaders, setFileHeaders] = useState(null);
+  const [columnMapping, setColumnMapping] = useState({});
+  const [rememberMapping, setRememberMapping] = useState(true);
+  const [sheetName, setSheetName] = useState('');
+  const [rejectedRows, setRejectedRows] = useState([]);
+  // The server keeps the first rejected rows; this counts all of them.
+  const [rejectedCount, setRejectedCount] = useState(0);
+  const [retryingAI, setRetryingAI] = useState(false);
+  const [jobStatus, setJobStatus] = useState(null);
+  const [openingAnalysisId, setOpeningAnalysisId] = useState(null);
+  const [deletedHistory, setDeletedHistory] = useState([]);
+  const [showTrash, setShowTrash] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState({ name: '', notes: '', tags: '' });
+  const [savingEdit, setSavingEdit] = useState(false);
+  const [historyFilters, setHistoryFilters] = useState(emptyHistoryFilters);
+  const [historyCursor, setHistoryCursor] = useState(null);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [compareSelection, setCompareSelection] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [trendPeriod, setTrendPeriod] = useState('month');
+  const [trends, setTrends] = useState(null);
+  const [downloading, setDownloading] = useState(null);
+  const [suppliers, setSuppliers] = useState(null);
+  const [selectedSupplier, setSelectedSupplier] = useState(null);
+  const [openingSupplierKey, setOpeningSupplierKey] = useState(null);
+  const [orgs, setOrgs] = useState([]);
+  const [currentOrgId, setCurrentOrgId] = useState(null);
+  const [workspaceReady, setWorkspaceReady] = useState(false);
+  const [pendingInvites, setPendingInvites] = useState([]);
+  const [newOrgName, setNewOrgName] = useState('');
+  const [showNewOrg, setShowNewOrg] = useState(false);
+  const [orgMembers, setOrgMembers] = useState(null);
+  const [inviteDraft, setInviteDraft] = useState({ email: '', role: 'viewer' });
+  const [apiKeyList, setApiKeyList] = useState(null);
+  const [apiKeyDraft, setApiKeyDraft] = useState({ name: '', scopes: ['upload'] });
+  const [createdApiKey, setCreatedApiKey] = useState(null);
+  const [webhookList, setWebhookList] = useState(null);
+  const [webhookDraft, setWebhookDraft] = useState({ url: '', events: ['analysis.below_threshold'], threshold: 40 });
+  const [createdWebhookSecret, setCreatedWebhookSecret] = useState(null);
+  const [webhookDeliveries, setWebhookDeliveries] = useState(null);
+  const [policyList, setPolicyList] = useState(null);
+  const [policyDraft, setPolicyDraft] = useState(emptyPolicyDraft);
+  const [quickCheckQuery, setQuickCheckQuery] = useState('');
+  const [quickCheckResult, setQuickCheckResult] = useState(null);
+  const [checkingProduct, setCheckingProduct] = useState(false);
+
+  const mappableFields = [
+    { key: 'product', label: 'Product' },
+    { key: 'quantity', label: 'Quantity' },
+    { key: 'price', label: 'Unit Price' },
+    { key: 'supplier', label: 'Supplier' },
+    { key: 'category', label: 'Category' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'recycledContent', label: 'Recycled Content %' },
+    { key: 'certifications', label: 'Certifications' }
+  ];
 
   const features = [
     {
@@ -41,14 +214,377 @@ function App() {
     const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
       setUser(currentUser);
       if (currentUser) {
-        fetchHistory(currentUser);
+        loadWorkspaces(currentUser, localStorage.getItem('orgId'))
+          .then(orgId => {
+            selectWorkspace(orgId);
+            fetchHistory(currentUser, { filters: emptyHistoryFilters });
+            fetchTrends(currentUser, 'month');
+            fetchSuppliers(currentUser);
+          });
       } else {
+        setWorkspaceHeader(null);
+        setWorkspaceReady(false);
+        setOrgs([]);
+        setPendingInvites([]);
         setHistory([]);
+        setDeletedHistory([]);
+        setTrends(null);
+        setSuppliers(null);
+        setSelectedSupplier(null);
       }
     });
     return () => unsubscribe();
   }, []);
 
+  // History entries link to #/analyses/<id>, so a saved analysis can be bookmarked or shared.
+  useEffect(() => {
+    if (!user || !workspaceReady) return;
+    const openFromHash = () => {
+      const match = window.location.hash.match(/^#\/analyses\/([\w-]+)$/);
+      if (match) openAnalysis(user, match[1]);
+    };
+    openFromHash();
+    window.addEventListener('hashchange', openFromHash);
+    return () => window.removeEventListener('hashchange', openFromHash);
+  }, [user, workspaceReady]);
+
+  const fetchApiKeys = async () => {
+    if (!user) return;
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.get(`${API_BASE_URL}/api/api-keys`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setApiKeyList(response.data);
+    } catch (err) {
+      setError('Could not load API keys.');
+      console.error(err);
+    }
+  };
+
+  const createApiKey = async (event) => {
+    event.preventDefault();
+    if (!user) return;
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.post(`${API_BASE_URL}/api/api-keys`, apiKeyDraft, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const { key, ...created } = response.data;
+      setCreatedApiKey(key);
+      setApiKeyList(prev => [created, ...(prev || [])]);
+      setApiKeyDraft({ name: '', scopes: apiKeyDraft.scopes });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not create the API key. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const revokeApiKey = async (keyId) => {
+    if (!user) return;
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      await axios.delete(`${API_BASE_URL}/api/api-keys/${keyId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      fetchApiKeys();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not revoke the API key. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const toggleApiKeyScope = (scope) => {
+    const scopes = apiKeyDraft.scopes.includes(scope)
+      ? apiKeyDraft.scopes.filter(selected => selected !== scope)
+      : [...apiKeyDraft.scopes, scope];
+    setApiKeyDraft({ ...apiKeyDraft, scopes });
+  };
+
+  const fetchWebhooks = async () => {
+    if (!user) return;
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.get(`${API_BASE_URL}/api/webhooks`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setWebhookList(response.data);
+    } catch (err) {
+      setError('Could not load webhooks.');
+      console.error(err);
+    }
+  };
+
+  const createWebhook = async (event) => {
+    event.preventDefault();
+    if (!user) return;
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.post(`${API_BASE_URL}/api/webhooks`, webhookDraft, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const { secret, ...created } = response.data;
+      setCreatedWebhookSecret(secret);
+      setWebhookList(prev => [created, ...(prev || [])]);
+      setWebhookDraft({ ...webhookDraft, url: '' });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not add the webhook. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const deleteWebhook = async (webhookId) => {
+    if (!user) return;
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      await axios.delete(`${API_BASE_URL}/api/webhooks/${webhookId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setWebhookList(prev => prev.filter(webhook => webhook.id !== webhookId));
+      if (webhookDeliveries?.webhookId === webhookId) setWebhookDeliveries(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not delete the webhook. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const fetchWebhookDeliveries = async (webhookId) => {
+    if (!user) return;
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.get(`${API_BASE_URL}/api/webhooks/${webhookId}/deliveries`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setWebhookDeliveries({ webhookId, items: response.data });
+    } catch (err) {
+      setError('Could not load the delivery log.');
+      console.error(err);
+    }
+  };
+
+  const testWebhook = async (webhookId) => {
+    if (!user) return;
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      await axios.post(`${API_BASE_URL}/api/webhooks/${webhookId}/test`, null, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      fetchWebhookDeliveries(webhookId);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not send the test event. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const toggleWebhookEvent = (eventKey) => {
+    const events = webhookDraft.events.includes(eventKey)
+      ? webhookDraft.events.filter(selected => selected !== eventKey)
+      : [...webhookDraft.events, eventKey];
+    setWebhookDraft({ ...webhookDraft, events });
+  };
+
+  const fetchPolicies = async () => {
+    if (!user) return;
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.get(`${API_BASE_URL}/api/policies`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setPolicyList(response.data);
+    } catch (err) {
+      setError('Could not load policy rules.');
+      console.error(err);
+    }
+  };
+
+  const createPolicy = async (event) => {
+    event.preventDefault();
+    if (!user) return;
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.post(`${API_BASE_URL}/api/policies`, policyFromDraft(policyDraft), {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setPolicyList(prev => [...(prev || []), response.data]);
+      setPolicyDraft(emptyPolicyDraft);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not add the policy rule. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const deletePolicy = async (policyId) => {
+    if (!user) return;
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      await axios.delete(`${API_BASE_URL}/api/policies/${policyId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setPolicyList(prev => prev.filter(policy => policy.id !== policyId));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not delete the policy rule. Please try again.');
+      console.error(err);
+    }
+  };
+
+  // Scores one product before it is ordered; nothing is saved.
+  const runQuickCheck = async (event) => {
+    event.preventDefault();
+    if (!user || !quickCheckQuery.trim()) return;
+    setCheckingProduct(true);
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.post(`${API_BASE_URL}/api/score?suggest=true`, { product: quickCheckQuery.trim() }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setQuickCheckResult(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not check that product. Please try again.');
+      console.error(err);
+    } finally {
+      setCheckingProduct(false);
+    }
+  };
+
+  const switchWorkspace = (orgId) => {
+    if (window.location.hash.startsWith('#/analyses/')) window.history.replaceState(null, '', window.location.pathname);
+    selectWorkspace(orgId || null);
+    fetchHistory(user, { filters: emptyHistoryFilters });
+    fetchTrends(user, trendPeriod);
+    fetchSuppliers(user);
+  };
+
+  const currentOrg = orgs.find(org => org.id === currentOrgId) || null;
+  // The personal workspace belongs to the user alone, so they can do everything there.
+  const currentRole = currentOrg ? currentOrg.role : 'admin';
+  const canEdit = ROLES.indexOf(currentRole) >= ROLES.indexOf('analyst');
+
+  // Violations of the open analysis by item, most severe first, to flag rows in the item table.
+  const violationsByItem = new Map();
+  for (const violation of analysisResult?.violations || []) {
+    violationsByItem.set(violation.itemIndex, [...(violationsByItem.get(violation.itemIndex) || []), violation]);
+  }
+
+  const createOrg = async (event) => {
+    event.preventDefault();
+    if (!user || !newOrgName.trim()) return;
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.post(`${API_BASE_URL}/api/orgs`, { name: newOrgName.trim() }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setOrgs(prev => [...prev, response.data].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewOrgName('');
+      setShowNewOrg(false);
+      switchWorkspace(response.data.id);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not create the organization. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const acceptInvite = async (inviteId) => {
+    if (!user) return;
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.post(`${API_BASE_URL}/api/invites/${inviteId}/accept`, null, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setPendingInvites(prev => prev.filter(invite => invite.id !== inviteId));
+      setOrgs(prev => [...prev.filter(org => org.id !== response.data.id), response.data]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not accept the invite. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const fetchOrgMembers = async () => {
+    if (!user || !currentOrgId) return;
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.get(`${API_BASE_URL}/api/orgs/${currentOrgId}/members`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setOrgMembers(response.data);
+    } catch (err) {
+      setError('Could not load the members of this organization.');
+      console.error(err);
+    }
+  };
+
+  // Runs one member/invite change; resolves with whether it went through.
+  const updateMembership = async (request, failureMessage) => {
+    if (!user || !currentOrgId) return false;
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      await request({ Authorization: `Bearer ${token}` });
+      return true;
+    } catch (err) {
+      setError(err.response?.data?.error || failureMessage);
+      console.error(err);
+      return false;
+    }
+  };
+
+  const sendInvite = async (event) => {
+    event.preventDefault();
+    const sent = await updateMembership(
+      (headers) => axios.post(`${API_BASE_URL}/api/orgs/${currentOrgId}/invites`, inviteDraft, { headers }),
+      'Could not send the invite. Please try again.'
+    );
+    if (sent) {
+      setInviteDraft({ email: '', role: inviteDraft.role });
+      fetchOrgMembers();
+    }
+  };
+
+  const revokeInvite = async (inviteId) => {
+    const revoked = await updateMembership(
+      (headers) => axios.delete(`${API_BASE_URL}/api/orgs/${currentOrgId}/invites/${inviteId}`, { headers }),
+      'Could not revoke the invite. Please try again.'
+    );
+    if (revoked) fetchOrgMembers();
+  };
+
+  const changeMemberRole = async (uid, role) => {
+    const changed = await updateMembership(
+      (headers) => axios.patch(`${API_BASE_URL}/api/orgs/${currentOrgId}/members/${uid}`, { role }, { headers }),
+      'Could not change that role. Please try again.'
+    );
+    if (!changed) return;
+    // Demoting yourself changes what this page lets you do.
+    if (uid === user.uid) setOrgs(prev => prev.map(org => (org.id === currentOrgId ? { ...org, role } : org)));
+    fetchOrgMembers();
+  };
+
+  const removeMember = async (uid) => {
+    const orgId = currentOrgId;
+    const removed = await updateMembership(
+      (headers) => axios.delete(`${API_BASE_URL}/api/orgs/${orgId}/members/${uid}`, { headers }),
+      'Could not remove that member. Please try again.'
+    );
+    if (!removed) return;
+    // Leaving the organization drops back to the personal workspace.
+    if (uid === user.uid) {
+      setOrgs(prev => prev.filter(org => org.id !== orgId));
+      switchWorkspace(null);
+    } else {
+      fetchOrgMembers();
+    }
+  };
+
   const handleLogin = () => {
     signInWithPopup(auth, provider).catch((err) => console.error(err));
   };
@@ -62,21 +598,151 @@ function App() {
     setSelectedFile(event.target.files[0]);
     setAnalysisResult(null);
     setError('');
+    setRejectedRows([]);
+    setRejectedCount(0);
+    setFileHeaders(null);
+    setColumnMapping({});
+    setSheetName('');
+  };
+
+  const isWorkbook = selectedFile?.name.toLowerCase().endsWith('.xlsx');
+
+  // Loads the first page of history (or the next one, given a cursor) plus the trash.
+  const fetchHistory = async (currentUser, { filters, cursor = null }) => {
+    if (!currentUser) return;
+    setLoadingHistory(true);
+    try {
+      const token = await currentUser.getIdToken();
+      const headers = { Authorization: `Bearer ${token}` };
+      const params = { ...historyParams(filters), limit: HISTORY_PAGE_SIZE, ...(cursor && { cursor }) };
+      const response = await axios.get(`${API_BASE_URL}/api/history`, { headers, params });
+      setHistory(prev => (cursor ? [...prev, ...response.data.items] : response.data.items));
+      setHistoryCursor(response.data.nextCursor);
+      if (!cursor) {
+        const deleted = await axios.get(`${API_BASE_URL}/api/history`, { headers, params: { deleted: true, limit: 100 } });
+        setDeletedHistory(deleted.data.items);
+      }
+    } catch (err) {
+      if (err.response?.status === 400) setError(err.response.data.error);
+      console.error("Could not fetch history", err);
+    } finally {
+      setLoadingHistory(false);
+    }
+  };
+
+  const fetchTrends = async (currentUser, period) => {
+    if (!currentUser) return;
+    try {
+      const token = await currentUser.getIdToken();
+      const response = await axios.get(`${API_BASE_URL}/api/trends`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { period }
+      });
+      setTrends(response.data);
+    } catch (err) {
+      console.error("Could not fetch trends", err);
+    }
   };
 
-  const fetchHistory = async (currentUser) => {
+  const fetchSuppliers = async (currentUser) => {
     if (!currentUser) return;
     try {
       const token = await currentUser.getIdToken();
-  const response = await axios.get(`${API_BASE_URL}/api/history`, {
+      const response = await axios.get(`${API_BASE_URL}/api/suppliers`, {
         headers: { Authorization: `Bearer ${token}` }
       });
-      setHistory(response.data);
+      setSuppliers(response.data);
     } catch (err) {
-      console.error("Could not fetch history", err);
+      console.error("Could not fetch suppliers", err);
+    }
+  };
+
+  // Lists the user's organizations and invites; resolves with the remembered workspace if they're still a member.
+  const loadWorkspaces = async (currentUser, preferredOrgId) => {
+    setWorkspaceHeader(null);
+    let memberships = [];
+    try {
+      const token = await currentUser.getIdToken();
+      const headers = { Authorization: `Bearer ${token}` };
+      const [orgsResponse, invitesResponse] = await Promise.all([
+        axios.get(`${API_BASE_URL}/api/orgs`, { headers }),
+        axios.get(`${API_BASE_URL}/api/invites`, { headers })
+      ]);
+      memberships = orgsResponse.data;
+      setPendingInvites(invitesResponse.data);
+    } catch (err) {
+      console.error("Could not fetch organizations", err);
+    }
+    setOrgs(memberships);
+    return memberships.some(org => org.id === preferredOrgId) ? preferredOrgId : null;
+  };
+
+  // Points requests at the workspace and clears whatever belonged to the previous one.
+  const selectWorkspace = (orgId) => {
+    setWorkspaceHeader(orgId);
+    setCurrentOrgId(orgId);
+    if (orgId) localStorage.setItem('orgId', orgId);
+    else localStorage.removeItem('orgId');
+    setAnalysisResult(null);
+    setRejectedRows([]);
+    setRejectedCount(0);
+    setComparison(null);
+    setCompareSelection([]);
+    setSelectedSupplier(null);
+    setOrgMembers(null);
+    setApiKeyList(null);
+    setCreatedApiKey(null);
+    setWebhookList(null);
+    setCreatedWebhookSecret(null);
+    setWebhookDeliveries(null);
+    setPolicyList(null);
+    setQuickCheckResult(null);
+    setEditingId(null);
+    setHistoryFilters(emptyHistoryFilters);
+    setWorkspaceReady(true);
+  };
+
+  const openSupplier = async (supplierKey) => {
+    if (!user) return;
+    if (selectedSupplier?.key === supplierKey) {
+      setSelectedSupplier(null);
+      return;
     }
+    setOpeningSupplierKey(supplierKey);
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.get(`${API_BASE_URL}/api/suppliers/${encodeURIComponent(supplierKey)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { period: trendPeriod }
+      });
+      setSelectedSupplier(response.data);
+    } catch (err) {
+      setError('Could not load that supplier. Please try again.');
+      console.error(err);
+    } finally {
+      setOpeningSupplierKey(null);
+    }
+  };
+
+  const formatShare = (share) => (share === null || share === undefined ? '—' : `${Math.round(share * 100)}%`);
+
+  const changeTrendPeriod = (period) => {
+    setTrendPeriod(period);
+    fetchTrends(user, period);
+  };
+
+  const applyHistoryFilters = (event) => {
+    event.preventDefault();
+    fetchHistory(user, { filters: historyFilters });
+  };
+
+  const clearHistoryFilters = () => {
+    setHistoryFilters(emptyHistoryFilters);
+    fetchHistory(user, { filters: emptyHistoryFilters });
   };
 
+  const hasHistoryFilters = Object.values(historyFilters).some(value => value.trim() !== '');
+
   const handleUpload = async () => {
     if (!selectedFile || !user) {
       setError('Please select a file first.');
@@ -85,33 +751,326 @@ function App() {
 
     const formData = new FormData();
     formData.append('file', selectedFile);
+    if (isWorkbook && sheetName.trim()) {
+      formData.append('sheet', sheetName.trim());
+    }
+    if (fileHeaders && columnMapping.product) {
+      const mapping = Object.fromEntries(Object.entries(columnMapping).filter(([, header]) => header));
+      formData.append('columnMapping', JSON.stringify(mapping));
+      formData.append('saveMapping', String(rememberMapping));
+    }
     setLoading(true);
     setError('');
+    setRejectedRows([]);
+    setRejectedCount(0);
+
+    setJobStatus(null);
+
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.post(`${API_BASE_URL}/api/upload`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+          'Authorization': `Bearer ${token}`
+        },
+      });
+      const job = await waitForJob(response.data.jobId);
+      setAnalysisResult(job.analysis);
+      setRejectedRows(job.analysis.rejectedRows || []);
+      setRejectedCount(job.analysis.rejectedCount ?? job.analysis.rejectedRows?.length ?? 0);
+      setFileHeaders(null);
+      fetchHistory(user, { filters: historyFilters });
+      fetchTrends(user, trendPeriod);
+      fetchSuppliers(user);
+    } catch (err) {
+      // Problems come back either on the POST itself or on the failed job.
+      const failure = err.job
+        ? { error: err.job.error, ...err.job.errorDetails }
+        : err.response?.data;
+      // The server lists the file's headers when it can't work out which column is which.
+      if (failure?.headers) {
+        setFileHeaders(failure.headers);
+        setError(failure.error);
+      } else if (failure?.error) {
+        setError(failure.error);
+        setRejectedRows(failure.rejectedRows || []);
+        setRejectedCount(failure.rejectedCount ?? failure.rejectedRows?.length ?? 0);
+      } else {
+        setError('An error occurred during analysis. Please check the file or try again.');
+      }
+      console.error(err);
+    } finally {
+      setLoading(false);
+      setJobStatus(null);
+    }
+  };
+
+  const fetchJob = async (jobId) => {
+    const token = await user.getIdToken();
+    const response = await axios.get(`${API_BASE_URL}/api/jobs/${jobId}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    setJobStatus(response.data);
+    return response.data;
+  };
+
+  // Polls an upload job until it finishes. Rejects with { job } when the job fails or the deadline passes.
+  const pollJob = async (jobId, deadline) => {
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      const job = await fetchJob(jobId);
+      if (job.status === 'completed') return job;
+      if (job.status === 'failed') throw { job };
+    }
+    throw jobTimedOut();
+  };
+
+  // Follows the job's Server-Sent Events stream until it finishes. EventSource can't send
+  // an Authorization header, so the stream is read through fetch instead.
+  const streamJob = async (jobId, deadline) => {
+    const token = await user.getIdToken();
+    const response = await fetch(`${API_BASE_URL}/api/jobs/${jobId}/events`, {
+      headers: { Authorization: `Bearer ${token}`, ...(currentOrgId && { 'X-Org-Id': currentOrgId }) },
+      signal: AbortSignal.timeout(Math.max(deadline - Date.now(), 0))
+    });
+    if (!response.ok || !response.body) throw new Error(`Progress stream failed (${response.status})`);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) throw new Error('Progress stream ended early');
+      buffer += value;
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+      for (const event of events) {
+        const data = event.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+        if (!data) continue;
+        const job = JSON.parse(data);
+        setJobStatus(job);
+        if (job.status === 'completed' || job.status === 'failed') {
+          reader.cancel();
+          return job;
+        }
+      }
+    }
+  };
+
+  const waitForJob = async (jobId) => {
+    const deadline = Date.now() + JOB_MAX_WAIT_MS;
+    let job;
+    try {
+      job = await streamJob(jobId, deadline);
+    } catch (err) {
+      if (Date.now() >= deadline) throw jobTimedOut();
+      console.warn('Progress stream unavailable, polling instead', err);
+      return pollJob(jobId, deadline);
+    }
+    if (job.status === 'failed') throw { job };
+    return fetchJob(jobId);
+  };
+
+  const jobStages = [
+    { key: 'parsing', label: 'Parsing' },
+    { key: 'scoring', label: 'Scoring' },
+    { key: 'enriching', label: 'AI Enrichment' }
+  ];
+
+  const jobProgress = (job) => {
+    if (!job || job.status === 'queued') return 0;
+    if (job.status === 'completed') return 100;
+    if (job.stage === 'parsing') return 5;
+    if (job.stage === 'scoring') return 10 + 40 * (job.rowsTotal ? job.rowsProcessed / job.rowsTotal : 0);
+    if (job.stage === 'enriching') return 50 + 50 * (job.suggestionsTotal ? job.suggestionsCompleted / job.suggestionsTotal : 0);
+    return 0;
+  };
+
+  const describeJob = (job) => {
+    if (!job || job.status === 'queued') return 'Queued...';
+    if (job.stage === 'parsing') return 'Reading file...';
+    if (job.stage === 'scoring') return `Scoring rows (${job.rowsProcessed}/${job.rowsTotal ?? '?'})...`;
+    if (job.stage === 'enriching') {
+      return job.suggestionsTotal
+        ? `Generating AI insights (${job.suggestionsCompleted}/${job.suggestionsTotal} suggestions)...`
+        : 'Generating AI insights...';
+    }
+    return 'Analyzing...';
+  };
+  
+  const openAnalysis = async (currentUser, analysisId) => {
+    if (!currentUser) return;
+    setOpeningAnalysisId(analysisId);
+    setError('');
+    try {
+      const token = await currentUser.getIdToken();
+      const response = await axios.get(`${API_BASE_URL}/api/analyses/${analysisId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setAnalysisResult(response.data);
+      setRejectedRows(response.data.rejectedRows || []);
+      setRejectedCount(response.data.rejectedCount ?? response.data.rejectedRows?.length ?? 0);
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    } catch (err) {
+      setError('Could not load that analysis. Please try again.');
+      console.error(err);
+    } finally {
+      setOpeningAnalysisId(null);
+    }
+  };
+
+  const handleRetryEnrichment = async () => {
+    if (!analysisResult?.id || !user) return;
+    setRetryingAI(true);
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.post(`${API_BASE_URL}/api/analyses/${analysisResult.id}/enrich`, null, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setAnalysisResult(response.data);
+    } catch (err) {
+      setError('AI insights are still unavailable. Please try again later.');
+      console.error(err);
+    } finally {
+      setRetryingAI(false);
+    }
+  };
+
+  const startEditing = (item) => {
+    setEditingId(item.id);
+    setEditDraft({ name: item.name || '', notes: item.notes || '', tags: (item.tags || []).join(', ') });
+  };
+
+  const saveAnnotations = async (analysisId) => {
+    if (!user) return;
+    setSavingEdit(true);
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.patch(`${API_BASE_URL}/api/analyses/${analysisId}`, {
+        name: editDraft.name,
+        notes: editDraft.notes,
+        tags: editDraft.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      }, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const { name, notes, tags } = response.data;
+      setHistory(prev => prev.map(item => (item.id === analysisId ? { ...item, name, notes, tags } : item)));
+      setAnalysisResult(prev => (prev?.id === analysisId ? { ...prev, name, notes, tags } : prev));
+      setEditingId(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not save your changes. Please try again.');
+      console.error(err);
+    } finally {
+      setSavingEdit(false);
+    }
+  };
+
+  const deleteAnalysis = async (analysisId) => {
+    if (!user) return;
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.delete(`${API_BASE_URL}/api/analyses/${analysisId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const deleted = history.find(item => item.id === analysisId);
+      setHistory(prev => prev.filter(item => item.id !== analysisId));
+      if (deleted) {
+        setDeletedHistory(prev => [{ ...deleted, deletedAt: new Date().toISOString(), purgeAt: response.data.purgeAt }, ...prev]);
+      }
+      if (analysisResult?.id === analysisId) setAnalysisResult(null);
+      setCompareSelection(prev => prev.filter(item => item.id !== analysisId));
+      fetchTrends(user, trendPeriod);
+      fetchSuppliers(user);
+      if (window.location.hash === `#/analyses/${analysisId}`) window.history.replaceState(null, '', window.location.pathname);
+      if (editingId === analysisId) setEditingId(null);
+    } catch (err) {
+      setError('Could not delete that analysis. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const restoreAnalysis = async (analysisId) => {
+    if (!user) return;
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      await axios.post(`${API_BASE_URL}/api/analyses/${analysisId}/restore`, null, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      fetchHistory(user, { filters: historyFilters });
+      fetchTrends(user, trendPeriod);
+      fetchSuppliers(user);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not restore that analysis. Please try again.');
+      console.error(err);
+    }
+  };
+
+  const downloadReport = async (analysisId, format) => {
+    if (!user) return;
+    setDownloading(`${analysisId}:${format}`);
+    setError('');
+    try {
+      const token = await user.getIdToken();
+      const response = await axios.get(`${API_BASE_URL}/api/analyses/${analysisId}/export`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { format },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileNameFromDisposition(response.headers['content-disposition'], `analysis-report.${format}`);
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Could not download the report. Please try again.');
+      console.error(err);
+    } finally {
+      setDownloading(null);
+    }
+  };
 
+  // Keeps the two most recently ticked analyses.
+  const toggleCompare = (analysis) => {
+    setCompareSelection(prev => (prev.some(item => item.id === analysis.id)
+      ? prev.filter(item => item.id !== analysis.id)
+      : [...prev, analysis].slice(-2)));
+  };
+
+  const runComparison = async () => {
+    if (!user || compareSelection.length !== 2) return;
+    // The older upload is the baseline.
+    const [base, target] = [...compareSelection].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    setComparing(true);
+    setError('');
     try {
       const token = await user.getIdToken();
-  const response = await axios.post(`${API_BASE_URL}/api/upload`, formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-          'Authorization': `Bearer ${token}`
-        },
+      const response = await axios.get(`${API_BASE_URL}/api/compare`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { base: base.id, target: target.id }
       });
-      setAnalysisResult(response.data);
-      fetchHistory(user);
+      setComparison(response.data);
     } catch (err) {
-      setError('An error occurred during analysis. Please check the file or try again.');
+      setError('Could not compare those analyses. Please try again.');
       console.error(err);
     } finally {
-      setLoading(false);
+      setComparing(false);
     }
   };
-  
+
   const getScoreColor = (score) => {
     if (score >= 70) return 'text-green-600 bg-green-100';
     if (score >= 40) return 'text-yellow-600 bg-yellow-100';
     return 'text-red-600 bg-red-100';
   };
 
+  const formatKg = (kg) => {
+    if (kg === null || kg === undefined) return '—';
+    return kg.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  };
+
   const getScoreBadgeColor = (score) => {
     if (score >= 70) return 'bg-green-500 text-white';
     if (score >= 40) return 'bg-yellow-500 text-white';
@@ -246,67 +1205,661 @@ function App() {
         {user ? (
           <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
             <div className="space-y-8">
-            {/* Upload Section */}
-            <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-8 border border-gray-800">
-              <div className="flex items-center space-x-3 mb-6">
-                <div className="w-10 h-10 bg-emerald-500/20 rounded-lg flex items-center justify-center border border-emerald-500/30">
-                  <svg className="w-6 h-6 text-emerald-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
-                  </svg>
-                </div>
-                <div>
-                  <h2 className="text-xl font-semibold text-white">Analyze Purchase Order</h2>
-                  <p className="text-gray-400">Upload a CSV file to get environmental impact analysis</p>
-                </div>
+            {/* Workspace */}
+            <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800 space-y-4">
+              <div className="flex flex-wrap items-center gap-3">
+                <label htmlFor="workspace" className="text-sm text-gray-400">Workspace</label>
+                <select
+                  id="workspace"
+                  value={currentOrgId || ''}
+                  onChange={(e) => switchWorkspace(e.target.value)}
+                  className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                >
+                  <option value="">Personal</option>
+                  {orgs.map(org => (
+                    <option key={org.id} value={org.id}>{org.name}</option>
+                  ))}
+                </select>
+                {currentOrg && (
+                  <span className="px-2.5 py-0.5 rounded-full text-xs font-medium capitalize text-emerald-300 bg-emerald-500/10 border border-emerald-500/20">
+                    {currentOrg.role}
+                  </span>
+                )}
+                <div className="flex-1" />
+                {currentRole === 'admin' && (
+                  <button
+                    onClick={() => (policyList ? setPolicyList(null) : fetchPolicies())}
+                    className="text-sm text-gray-400 hover:text-gray-200"
+                  >
+                    {policyList ? 'Hide policies' : 'Policies'}
+                  </button>
+                )}
+                {currentRole === 'admin' && (
+                  <button
+                    onClick={() => {
+                      setCreatedWebhookSecret(null);
+                      setWebhookDeliveries(null);
+                      if (webhookList) setWebhookList(null);
+                      else fetchWebhooks();
+                    }}
+                    className="text-sm text-gray-400 hover:text-gray-200"
+                  >
+                    {webhookList ? 'Hide webhooks' : 'Webhooks'}
+                  </button>
+                )}
+                {currentRole === 'admin' && (
+                  <button
+                    onClick={() => {
+                      setCreatedApiKey(null);
+                      if (apiKeyList) setApiKeyList(null);
+                      else fetchApiKeys();
+                    }}
+                    className="text-sm text-gray-400 hover:text-gray-200"
+                  >
+                    {apiKeyList ? 'Hide API keys' : 'API keys'}
+                  </button>
+                )}
+                {currentOrg && (
+                  <button
+                    onClick={() => (orgMembers ? setOrgMembers(null) : fetchOrgMembers())}
+                    className="text-sm text-gray-400 hover:text-gray-200"
+                  >
+                    {orgMembers ? 'Hide members' : 'Members'}
+                  </button>
+                )}
+                <button
+                  onClick={() => setShowNewOrg(!showNewOrg)}
+                  className="text-sm text-gray-400 hover:text-emerald-300"
+                >
+                  New organization
+                </button>
               </div>
 
-              <div className="space-y-4">
-                <div className="border-2 border-dashed border-gray-700 rounded-lg p-6 text-center hover:border-emerald-500/50 transition-colors duration-200 bg-gray-900/30">
-                  <svg className="mx-auto h-12 w-12 text-gray-600" stroke="currentColor" fill="none" viewBox="0 0 48 48">
-                    <path d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02" strokeWidth={2} strokeLinecap="round" strokeLinejoin="round" />
-                  </svg>
-                  <div className="mt-4">
-                    <label htmlFor="file-upload" className="cursor-pointer">
-                      <span className="mt-2 block text-sm font-medium text-gray-300">
-                        {selectedFile ? selectedFile.name : 'Choose CSV file or drag and drop'}
+              {showNewOrg && (
+                <form onSubmit={createOrg} className="flex gap-2">
+                  <input
+                    type="text"
+                    value={newOrgName}
+                    onChange={(e) => setNewOrgName(e.target.value)}
+                    placeholder="Organization name"
+                    maxLength={80}
+                    className="flex-1 bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                  />
+                  <button type="submit" className="px-4 py-2 rounded-lg text-sm bg-emerald-600 text-white hover:bg-emerald-500">
+                    Create
+                  </button>
+                </form>
+              )}
+
+              {pendingInvites.map(invite => (
+                <div key={invite.id} className="flex items-center justify-between p-3 rounded-lg bg-emerald-500/10 border border-emerald-500/20">
+                  <p className="text-sm text-emerald-200">
+                    You're invited to join {invite.orgName || 'an organization'} as {invite.role}.
+                  </p>
+                  <button
+                    onClick={() => acceptInvite(invite.id)}
+                    className="px-3 py-1.5 rounded-lg text-sm bg-emerald-600 text-white hover:bg-emerald-500"
+                  >
+                    Accept
+                  </button>
+                </div>
+              ))}
+
+              {orgMembers && (
+                <div className="space-y-2">
+                  {orgMembers.members.map(member => (
+                    <div key={member.uid} className="flex items-center justify-between p-3 rounded-lg bg-gray-800/30">
+                      <span className="text-sm text-gray-200">
+                        {member.email || member.uid}
+                        {member.uid === user.uid && <span className="text-gray-500"> (you)</span>}
                       </span>
+                      <div className="flex items-center space-x-3">
+                        {currentRole === 'admin' ? (
+                          <select
+                            value={member.role}
+                            onChange={(e) => changeMemberRole(member.uid, e.target.value)}
+                            className="bg-gray-900 border border-gray-700 rounded-lg px-2 py-1 text-sm text-gray-200 capitalize"
+                          >
+                            {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                          </select>
+                        ) : (
+                          <span className="text-sm text-gray-400 capitalize">{member.role}</span>
+                        )}
+                        {(currentRole === 'admin' || member.uid === user.uid) && (
+                          <button
+                            onClick={() => removeMember(member.uid)}
+                            className="text-sm text-gray-400 hover:text-red-400"
+                          >
+                            {member.uid === user.uid ? 'Leave' : 'Remove'}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                  {orgMembers.invites.map(invite => (
+                    <div key={invite.id} className="flex items-center justify-between p-3 rounded-lg bg-gray-800/20">
+                      <span className="text-sm text-gray-400">{invite.email} · invited as {invite.role}</span>
+                      <button
+                        onClick={() => revokeInvite(invite.id)}
+                        className="text-sm text-gray-400 hover:text-red-400"
+                      >
+                        Revoke
+                      </button>
+                    </div>
+                  ))}
+                  {currentRole === 'admin' && (
+                    <form onSubmit={sendInvite} className="flex gap-2 pt-2">
                       <input
-                        id="file-upload"
-                        type="file"
-                        accept=".csv"
-                        onChange={handleFileChange}
-                        className="sr-only"
+                        type="email"
+                        value={inviteDraft.email}
+                        onChange={(e) => setInviteDraft({ ...inviteDraft, email: e.target.value })}
+                        placeholder="colleague@company.com"
+                        required
+                        className="flex-1 bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
                       />
-                    </label>
-                    <p className="mt-1 text-xs text-gray-500">CSV files with product, quantity, and supplier columns</p>
-                  </div>
+                      <select
+                        value={inviteDraft.role}
+                        onChange={(e) => setInviteDraft({ ...inviteDraft, role: e.target.value })}
+                        className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200 capitalize"
+                      >
+                        {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                      </select>
+                      <button type="submit" className="px-4 py-2 rounded-lg text-sm bg-emerald-600 text-white hover:bg-emerald-500">
+                        Invite
+                      </button>
+                    </form>
+                  )}
                 </div>
+              )}
 
-                <button 
-                  onClick={handleUpload} 
-                  disabled={loading || !selectedFile}
-                  className="w-full disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2 px-6 py-3 bg-emerald-500 hover:bg-emerald-600 text-gray-900 font-medium rounded-lg transition-colors"
-                >
-                  {loading ? (
-                    <>
-                      <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-gray-900" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                      </svg>
-                      <span>Analyzing...</span>
-                    </>
-                  ) : (
-                    <>
-                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
-                      </svg>
-                      <span>Analyze Purchase Order</span>
-                    </>
+              {apiKeyList && (
+                <div className="space-y-2">
+                  <p className="text-sm text-gray-500">
+                    API keys let other systems, such as an ERP export, upload files and read results for {currentOrg ? currentOrg.name : 'your personal workspace'}.
+                    Send one as <code className="text-gray-400">Authorization: Bearer &lt;key&gt;</code>.
+                  </p>
+                  {createdApiKey && (
+                    <div className="p-3 rounded-lg bg-emerald-500/10 border border-emerald-500/20 space-y-1">
+                      <p className="text-sm text-emerald-200">Copy this key now. It won't be shown again.</p>
+                      <code className="block text-sm text-white break-all select-all">{createdApiKey}</code>
+                    </div>
+                  )}
+                  {apiKeyList.map(apiKey => (
+                    <div key={apiKey.id} className="flex items-center justify-between p-3 rounded-lg bg-gray-800/30">
+                      <div>
+                        <p className={`text-sm ${apiKey.revokedAt ? 'text-gray-500 line-through' : 'text-gray-200'}`}>
+                          {apiKey.name} <span className="text-gray-500">{apiKey.prefix}…</span>
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {apiKey.scopes.join(', ')}
+                          {' · '}
+                          {apiKey.lastUsedAt ? `Last used ${new Date(apiKey.lastUsedAt).toLocaleDateString()}` : 'Never used'}
+                          {apiKey.revokedAt && ` · Revoked ${new Date(apiKey.revokedAt).toLocaleDateString()}`}
+                        </p>
+                      </div>
+                      {!apiKey.revokedAt && (
+                        <button
+                          onClick={() => revokeApiKey(apiKey.id)}
+                          className="text-sm text-gray-400 hover:text-red-400"
+                        >
+                          Revoke
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                  <form onSubmit={createApiKey} className="flex flex-wrap items-center gap-3 pt-2">
+                    <input
+                      type="text"
+                      value={apiKeyDraft.name}
+                      onChange={(e) => setApiKeyDraft({ ...apiKeyDraft, name: e.target.value })}
+                      placeholder="Key name, e.g. SAP nightly export"
+                      maxLength={80}
+                      required
+                      className="flex-1 bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                    />
+                    {API_KEY_SCOPES.map(scope => (
+                      <label key={scope.key} className="flex items-center space-x-1 text-sm text-gray-400">
+                        <input
+                          type="checkbox"
+                          checked={apiKeyDraft.scopes.includes(scope.key)}
+                          onChange={() => toggleApiKeyScope(scope.key)}
+                          className="accent-emerald-500"
+                        />
+                        <span>{scope.label}</span>
+                      </label>
+                    ))}
+                    <button
+                      type="submit"
+                      disabled={apiKeyDraft.scopes.length === 0}
+                      className="px-4 py-2 rounded-lg text-sm bg-emerald-600 text-white hover:bg-emerald-500 disabled:opacity-50"
+                    >
+                      Create key
+                    </button>
+                  </form>
+                </div>
+              )}
+
+              {policyList && (
+                <div className="space-y-2">
+                  <p className="text-sm text-gray-500">
+                    Policy rules are checked on every uploaded row. Violations are listed with the results; they don't change the green score.
+                    Product terms match whole words, ignoring case and punctuation.
+                  </p>
+                  {policyList.length === 0 && (
+                    <p className="text-sm text-gray-500">No policy rules yet.</p>
+                  )}
+                  {policyList.map(policy => (
+                    <div key={policy.id} className="flex items-center justify-between p-3 rounded-lg bg-gray-800/30">
+                      <div className="min-w-0">
+                        <p className="text-sm text-gray-200">
+                          <span className={`mr-2 px-2 py-0.5 rounded-full text-xs border capitalize ${severityStyles[policy.severity]}`}>{policy.severity}</span>
+                          {policy.name}
+                        </p>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {policyTypes.find(type => type.key === policy.type)?.label} · {describePolicy(policy)}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => deletePolicy(policy.id)}
+                        className="ml-4 text-sm text-gray-400 hover:text-red-400"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  ))}
+                  <form onSubmit={createPolicy} className="grid grid-cols-1 md:grid-cols-3 gap-3 pt-2">
+                    <input
+                      type="text"
+                      value={policyDraft.name}
+                      onChange={(e) => setPolicyDraft({ ...policyDraft, name: e.target.value })}
+                      placeholder="Rule name, e.g. No single-use plastics"
+                      maxLength={120}
+                      required
+                      className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                    />
+                    <select
+                      value={policyDraft.type}
+                      onChange={(e) => setPolicyDraft({ ...policyDraft, type: e.target.value })}
+                      className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                    >
+                      {policyTypes.map(type => <option key={type.key} value={type.key}>{type.label}</option>)}
+                    </select>
+                    <select
+                      value={policyDraft.severity}
+                      onChange={(e) => setPolicyDraft({ ...policyDraft, severity: e.target.value })}
+                      className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200 capitalize"
+                    >
+                      {Object.keys(severityStyles).map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                    </select>
+                    <input
+                      type="text"
+                      value={policyDraft.products}
+                      onChange={(e) => setPolicyDraft({ ...policyDraft, products: e.target.value })}
+                      placeholder="Applies to products, e.g. bulb, tube light"
+                      className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                    />
+                    <input
+                      type="text"
+                      value={policyDraft.categories}
+                      onChange={(e) => setPolicyDraft({ ...policyDraft, categories: e.target.value })}
+                      placeholder="Categories, e.g. Lighting"
+                      className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                    />
+                    <input
+                      type="text"
+                      value={policyDraft.except}
+                      onChange={(e) => setPolicyDraft({ ...policyDraft, except: e.target.value })}
+                      placeholder="Except products, e.g. reusable"
+                      className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                    />
+                    {policyDraft.type === 'required_product' && (
+                      <input
+                        type="text"
+                        value={policyDraft.required}
+                        onChange={(e) => setPolicyDraft({ ...policyDraft, required: e.target.value })}
+                        placeholder="Must mention, e.g. LED"
+                        required
+                        className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                      />
+                    )}
+                    {policyDraft.type === 'min_recycled_content' && (
+                      <input
+                        type="number"
+                        min={1}
+                        max={100}
+                        value={policyDraft.minPercent}
+                        onChange={(e) => setPolicyDraft({ ...policyDraft, minPercent: e.target.value })}
+                        placeholder="Minimum recycled %"
+                        required
+                        className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                      />
+                    )}
+                    {['supplier_allowlist', 'supplier_denylist'].includes(policyDraft.type) && (
+                      <input
+                        type="text"
+                        value={policyDraft.suppliers}
+                        onChange={(e) => setPolicyDraft({ ...policyDraft, suppliers: e.target.value })}
+                        placeholder="Suppliers, comma-separated"
+                        required
+                        className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                      />
+                    )}
+                    {policyDraft.type === 'quantity_cap' && (
+                      <input
+                        type="number"
+                        min={0}
+                        value={policyDraft.maxQuantity}
+                        onChange={(e) => setPolicyDraft({ ...policyDraft, maxQuantity: e.target.value })}
+                        placeholder="Maximum quantity per row"
+                        required
+                        className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                      />
+                    )}
+                    <button type="submit" className="px-4 py-2 rounded-lg text-sm bg-emerald-600 text-white hover:bg-emerald-500">
+                      Add rule
+                    </button>
+                  </form>
+                </div>
+              )}
+
+              {webhookList && (
+                <div className="space-y-2">
+                  <p className="text-sm text-gray-500">
+                    Webhooks notify another system, such as an approval workflow, when an analysis finishes or scores below a threshold.
+                    Each request is signed with the webhook's secret in the <code className="text-gray-400">X-Webhook-Signature</code> header.
+                  </p>
+                  {createdWebhookSecret && (
+                    <div className="p-3 rounded-lg bg-emerald-500/10 border border-emerald-500/20 space-y-1">
+                      <p className="text-sm text-emerald-200">Copy the signing secret now. It won't be shown again.</p>
+                      <code className="block text-sm text-white break-all select-all">{createdWebhookSecret}</code>
+                    </div>
                   )}
+                  {webhookList.map(webhook => (
+                    <div key={webhook.id} className="p-3 rounded-lg bg-gray-800/30 space-y-2">
+                      <div className="flex items-center justify-between">
+                        <div className="min-w-0">
+                          <p className="text-sm text-gray-200 truncate">{webhook.url}</p>
+                          <p className="text-xs text-gray-500">
+                            {webhook.events.join(', ')}
+                            {webhook.events.includes('analysis.below_threshold') && ` · below ${webhook.threshold}`}
+                          </p>
+                        </div>
+                        <div className="flex items-center space-x-3 ml-4">
+                          <button
+                            onClick={() => testWebhook(webhook.id)}
+                            className="text-sm text-gray-400 hover:text-emerald-300"
+                          >
+                            Send test
+                          </button>
+                          <button
+                            onClick={() => (webhookDeliveries?.webhookId === webhook.id
+                              ? setWebhookDeliveries(null)
+                              : fetchWebhookDeliveries(webhook.id))}
+                            className="text-sm text-gray-400 hover:text-gray-200"
+                          >
+                            Deliveries
+                          </button>
+                          <button
+                            onClick={() => deleteWebhook(webhook.id)}
+                            className="text-sm text-gray-400 hover:text-red-400"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                      {webhookDeliveries?.webhookId === webhook.id && (
+                        <div className="space-y-1">
+                          {webhookDeliveries.items.length === 0 && (
+                            <p className="text-xs text-gray-500">No deliveries yet.</p>
+                          )}
+                          {webhookDeliveries.items.map(delivery => (
+                            <div key={delivery.id} className="flex items-center justify-between text-xs">
+                              <span className="text-gray-400">
+                                {delivery.createdAt && new Date(delivery.createdAt).toLocaleString()} · {delivery.event}
+                              </span>
+                              <span className={deliveryStatusColors[delivery.status]}>
+                                {delivery.status}
+                                {delivery.responseStatus && ` (${delivery.responseStatus})`}
+                                {` · ${delivery.attempts} ${delivery.attempts === 1 ? 'attempt' : 'attempts'}`}
+                                {delivery.status === 'pending' && delivery.nextAttemptAt && delivery.attempts > 0
+                                  && ` · retrying ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`}
+                              </span>
+                            </div>
+                          ))}
+                          <button
+                            onClick={() => fetchWebhookDeliveries(webhook.id)}
+                            className="text-xs text-gray-500 hover:text-gray-300"
+                          >
+                            Refresh
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                  <form onSubmit={createWebhook} className="flex flex-wrap items-center gap-3 pt-2">
+                    <input
+                      type="url"
+                      value={webhookDraft.url}
+                      onChange={(e) => setWebhookDraft({ ...webhookDraft, url: e.target.value })}
+                      placeholder="https://workflow.example.com/hooks/green-score"
+                      required
+                      className="flex-1 bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                    />
+                    {WEBHOOK_EVENTS.map(webhookEvent => (
+                      <label key={webhookEvent.key} className="flex items-center space-x-1 text-sm text-gray-400">
+                        <input
+                          type="checkbox"
+                          checked={webhookDraft.events.includes(webhookEvent.key)}
+                          onChange={() => toggleWebhookEvent(webhookEvent.key)}
+                          className="accent-emerald-500"
+                        />
+                        <span>{webhookEvent.label}</span>
+                      </label>
+                    ))}
+                    {webhookDraft.events.includes('analysis.below_threshold') && (
+                      <input
+                        type="number"
+                        min={0}
+                        max={100}
+                        value={webhookDraft.threshold}
+                        onChange={(e) => setWebhookDraft({ ...webhookDraft, threshold: e.target.value })}
+                        aria-label="Score threshold"
+                        className="w-20 bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                      />
+                    )}
+                    <button
+                      type="submit"
+                      disabled={webhookDraft.events.length === 0}
+                      className="px-4 py-2 rounded-lg text-sm bg-emerald-600 text-white hover:bg-emerald-500 disabled:opacity-50"
+                    >
+                      Add webhook
+                    </button>
+                  </form>
+                </div>
+              )}
+            </div>
+
+            {/* Quick Check */}
+            <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800">
+              <form onSubmit={runQuickCheck} className="flex gap-3">
+                <input
+                  type="search"
+                  value={quickCheckQuery}
+                  onChange={(e) => setQuickCheckQuery(e.target.value)}
+                  placeholder="Check a product before ordering, e.g. Single-use plastic cups"
+                  maxLength={200}
+                  aria-label="Product to check"
+                  className="flex-1 bg-gray-900 border border-gray-700 rounded-lg px-4 py-2 text-sm text-gray-200"
+                />
+                <button
+                  type="submit"
+                  disabled={checkingProduct || !quickCheckQuery.trim()}
+                  className="px-4 py-2 rounded-lg text-sm bg-emerald-600 text-white hover:bg-emerald-500 disabled:opacity-50"
+                >
+                  {checkingProduct ? 'Checking...' : 'Check'}
                 </button>
-              </div>
+              </form>
+              {quickCheckResult && (
+                <div className="mt-4 p-4 rounded-lg bg-gray-800/30 space-y-2">
+                  <div className="flex flex-wrap items-center gap-3">
+                    <span className="text-sm font-medium text-gray-200">{quickCheckResult.product}</span>
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getScoreBadgeColor(quickCheckResult.greenScore)}`}>
+                      {quickCheckResult.greenScore}/100
+                    </span>
+                    {quickCheckResult.matchedRules.map(rule => (
+                      <span key={rule} className="px-2 py-0.5 rounded-full text-xs bg-gray-700/50 text-gray-300">{rule}</span>
+                    ))}
+                    {quickCheckResult.catalogMatch ? (
+                      <span className="px-2 py-0.5 rounded-full text-xs border text-teal-300 bg-teal-500/10 border-teal-500/30">
+                        {describeCatalogMatch(quickCheckResult.catalogMatch)}
+                      </span>
+                    ) : quickCheckResult.matchedRules.length === 0 && (
+                      <span className="text-xs text-gray-500">No scoring rules matched</span>
+                    )}
+                  </div>
+                  {quickCheckResult.suggestion && (
+                    <p className="text-sm text-gray-300">Suggested alternative: {quickCheckResult.suggestion}</p>
+                  )}
+                  {quickCheckResult.violations.map((violation, index) => (
+                    <p key={index} className="text-sm">
+                      <span className={`mr-2 px-2 py-0.5 rounded-full text-xs border capitalize ${severityStyles[violation.severity]}`}>{violation.severity}</span>
+                      <span className="text-gray-300">{violation.ruleName}: {violation.message}</span>
+                    </p>
+                  ))}
+                </div>
+              )}
             </div>
 
+            {/* Upload Section */}
+            {canEdit ? (
+              <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-8 border border-gray-800">
+                <div className="flex items-center space-x-3 mb-6">
+                  <div className="w-10 h-10 bg-emerald-500/20 rounded-lg flex items-center justify-center border border-emerald-500/30">
+                    <svg className="w-6 h-6 text-emerald-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+                    </svg>
+                  </div>
+                  <div>
+                    <h2 className="text-xl font-semibold text-white">Analyze Purchase Order</h2>
+                    <p className="text-gray-400">Upload a CSV, Excel or JSON file to get environmental impact analysis</p>
+                  </div>
+                </div>
+
+                <div className="space-y-4">
+                  <div className="border-2 border-dashed border-gray-700 rounded-lg p-6 text-center hover:border-emerald-500/50 transition-colors duration-200 bg-gray-900/30">
+                    <svg className="mx-auto h-12 w-12 text-gray-600" stroke="currentColor" fill="none" viewBox="0 0 48 48">
+                      <path d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02" strokeWidth={2} strokeLinecap="round" strokeLinejoin="round" />
+                    </svg>
+                    <div className="mt-4">
+                      <label htmlFor="file-upload" className="cursor-pointer">
+                        <span className="mt-2 block text-sm font-medium text-gray-300">
+                          {selectedFile ? selectedFile.name : 'Choose a CSV, Excel or JSON file or drag and drop'}
+                        </span>
+                        <input
+                          id="file-upload"
+                          type="file"
+                          accept=".csv,.xlsx,.json,text/csv,application/json,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                          onChange={handleFileChange}
+                          className="sr-only"
+                        />
+                      </label>
+                      <p className="mt-1 text-xs text-gray-500">CSV, Excel (.xlsx) or JSON files with product, quantity, and supplier columns</p>
+                    </div>
+                  </div>
+
+                  {isWorkbook && (
+                    <input
+                      type="text"
+                      value={sheetName}
+                      onChange={(e) => setSheetName(e.target.value)}
+                      placeholder="Sheet name or number (defaults to the first sheet)"
+                      className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200 placeholder-gray-500"
+                    />
+                  )}
+
+                  {fileHeaders && (
+                    <div className="bg-gray-900/30 border border-gray-700 rounded-lg p-4 space-y-3">
+                      <p className="text-sm text-gray-300">Match your file's columns to the fields we analyze:</p>
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                        {mappableFields.map(field => (
+                          <label key={field.key} className="text-xs text-gray-400 space-y-1">
+                            <span>{field.label}{field.key === 'product' && ' *'}</span>
+                            <select
+                              value={columnMapping[field.key] || ''}
+                              onChange={(e) => setColumnMapping({ ...columnMapping, [field.key]: e.target.value })}
+                              className="w-full bg-gray-800 border border-gray-700 rounded-lg px-2 py-1.5 text-sm text-gray-200"
+                            >
+                              <option value="">— Not in file —</option>
+                              {fileHeaders.map(header => (
+                                <option key={header} value={header}>{header}</option>
+                              ))}
+                            </select>
+                          </label>
+                        ))}
+                      </div>
+                      <label className="flex items-center space-x-2 text-sm text-gray-400">
+                        <input
+                          type="checkbox"
+                          checked={rememberMapping}
+                          onChange={(e) => setRememberMapping(e.target.checked)}
+                        />
+                        <span>Remember this mapping for files with the same columns</span>
+                      </label>
+                    </div>
+                  )}
+
+                  <button 
+                    onClick={handleUpload} 
+                    disabled={loading || !selectedFile || (fileHeaders && !columnMapping.product)}
+                    className="w-full disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2 px-6 py-3 bg-emerald-500 hover:bg-emerald-600 text-gray-900 font-medium rounded-lg transition-colors"
+                  >
+                    {loading ? (
+                      <>
+                        <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-gray-900" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                          <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                          <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                        </svg>
+                        <span>{describeJob(jobStatus)}</span>
+                      </>
+                    ) : (
+                      <>
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                        </svg>
+                        <span>Analyze Purchase Order</span>
+                      </>
+                    )}
+                  </button>
+
+                  {loading && (
+                    <div className="space-y-2">
+                      <div className="flex justify-between text-xs">
+                        {jobStages.map((stage, index) => {
+                          const activeIndex = jobStages.findIndex(s => s.key === jobStatus?.stage);
+                          const className = index === activeIndex
+                            ? 'text-emerald-400 font-medium'
+                            : index < activeIndex ? 'text-gray-300' : 'text-gray-600';
+                          return <span key={stage.key} className={className}>{stage.label}</span>;
+                        })}
+                      </div>
+                      <div className="w-full h-2 bg-gray-800 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-emerald-500 rounded-full"
+                          style={{ width: `${jobProgress(jobStatus)}%` }}
+                        />
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ) : (
+              <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800">
+                <p className="text-sm text-gray-400">
+                  You have view-only access to {currentOrg?.name}. Ask an admin for the analyst role to upload purchase orders.
+                </p>
+              </div>
+            )}
+
             {error && (
               <div className="bg-red-900/20 border border-red-500/30 rounded-lg p-4">
                 <div className="flex">
@@ -320,19 +1873,84 @@ function App() {
               </div>
             )}
 
+            {rejectedRows.length > 0 && (
+              <div className="bg-yellow-900/20 border border-yellow-500/30 rounded-lg p-4">
+                <h3 className="text-sm font-medium text-yellow-300 mb-3">
+                  {rejectedCount} {rejectedCount === 1 ? 'row was' : 'rows were'} skipped
+                  {analysisResult && ' — the remaining rows were analyzed'}
+                  {rejectedCount > rejectedRows.length && ` (showing the first ${rejectedRows.length})`}
+                </h3>
+                <div className="max-h-64 overflow-y-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-yellow-400/80 uppercase tracking-wider">
+                        <th className="pr-4 py-1">Line</th>
+                        <th className="pr-4 py-1">Product</th>
+                        <th className="py-1">Problem</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rejectedRows.map(rejected => (
+                        <tr key={rejected.line} className="text-yellow-200 align-top">
+                          <td className="pr-4 py-1 whitespace-nowrap">{rejected.line}</td>
+                          <td className="pr-4 py-1">{rejected.row.product || '—'}</td>
+                          <td className="py-1">{rejected.reasons.join(' ')}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
             {/* Analysis Results */}
             {analysisResult && (
               <div className="space-y-6">
                 {/* Overall Score Card */}
                 <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-8 border border-gray-800">
                   <div className="flex items-center justify-between mb-6">
-                    <h2 className="text-xl font-semibold text-white">Analysis Results</h2>
-                    <span className={`px-3 py-1 rounded-full text-sm font-medium ${getScoreColor(analysisResult.averageScore)}`}>
-                      {analysisResult.averageScore}/100 Green Score
-                    </span>
+                    <div>
+                      <h2 className="text-xl font-semibold text-white">Analysis Results</h2>
+                      {analysisResult.fileName && (
+                        <p className="text-sm text-gray-500">
+                          {analysisResult.name ? `${analysisResult.name} (${analysisResult.fileName})` : analysisResult.fileName}
+                          {analysisResult.createdAt && ` · ${new Date(analysisResult.createdAt).toLocaleString()}`}
+                        </p>
+                      )}
+                      {analysisResult.tags?.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          {analysisResult.tags.map(tag => (
+                            <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-emerald-500/10 text-emerald-300 border border-emerald-500/20">{tag}</span>
+                          ))}
+                        </div>
+                      )}
+                      {analysisResult.notes && (
+                        <p className="text-sm text-gray-400 mt-1 whitespace-pre-line">{analysisResult.notes}</p>
+                      )}
+                    </div>
+                    <div className="flex flex-col items-end space-y-2">
+                      <span className={`px-3 py-1 rounded-full text-sm font-medium ${getScoreColor(analysisResult.averageScore)}`}>
+                        {analysisResult.averageScore}/100 Green Score
+                      </span>
+                      {analysisResult.id && (
+                        <div className="flex items-center space-x-2 text-sm text-gray-400">
+                          <span>Download</span>
+                          {exportFormats.map(format => (
+                            <button
+                              key={format.key}
+                              onClick={() => downloadReport(analysisResult.id, format.key)}
+                              disabled={downloading === `${analysisResult.id}:${format.key}`}
+                              className="px-2 py-0.5 rounded border border-gray-700 hover:border-emerald-500/50 hover:text-emerald-300 disabled:opacity-50"
+                            >
+                              {format.label}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </div>
                   </div>
                   
-                  <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-6 mb-6">
                     <div className="text-center">
                       <div className="text-3xl font-bold text-white mb-1">
                         {analysisResult.items.length}
@@ -345,6 +1963,18 @@ function App() {
                       </div>
                       <div className="text-sm text-gray-400">Average Score</div>
                     </div>
+                    <div className="text-center">
+                      <div className="text-3xl font-bold text-emerald-400 mb-1">
+                        {analysisResult.quantityWeightedScore ?? '—'}
+                      </div>
+                      <div className="text-sm text-gray-400">Quantity-Weighted</div>
+                    </div>
+                    <div className="text-center">
+                      <div className="text-3xl font-bold text-emerald-400 mb-1">
+                        {analysisResult.spendWeightedScore ?? '—'}
+                      </div>
+                      <div className="text-sm text-gray-400">Spend-Weighted</div>
+                    </div>
                     <div className="text-center">
                       <div className="text-3xl font-bold text-white mb-1">
                         {analysisResult.items.filter(item => item.greenScore >= 70).length}
@@ -353,6 +1983,29 @@ function App() {
                     </div>
                   </div>
 
+                  {analysisResult.columnMapping && (
+                    <p className="text-xs text-gray-500 mb-6">
+                      Columns used: {Object.entries(analysisResult.columnMapping).map(([field, header]) => `${field} ← "${header}"`).join(', ')}
+                    </p>
+                  )}
+
+                  {['failed', 'partial'].includes(analysisResult.aiStatus) && (
+                    <div className="flex items-center justify-between bg-yellow-900/20 border border-yellow-500/30 rounded-lg p-4 mb-6">
+                      <p className="text-sm text-yellow-200">
+                        Scores are saved, but some AI insights could not be generated.
+                      </p>
+                      {canEdit && (
+                        <button
+                          onClick={handleRetryEnrichment}
+                          disabled={retryingAI}
+                          className="ml-4 px-4 py-2 text-sm font-medium text-gray-900 bg-yellow-400 hover:bg-yellow-500 rounded-lg disabled:opacity-50"
+                        >
+                          {retryingAI ? 'Retrying...' : 'Retry AI Analysis'}
+                        </button>
+                      )}
+                    </div>
+                  )}
+
                   {analysisResult.summary && (
                     <div className="bg-blue-900/20 border border-blue-500/30 rounded-lg p-4 mb-6">
                       <h3 className="text-lg font-medium text-blue-300 mb-2">AI Analysis Summary</h3>
@@ -361,6 +2014,46 @@ function App() {
                   )}
                 </div>
 
+                {/* Policy Violations */}
+                {analysisResult.violations?.length > 0 && (
+                  <div className="bg-red-950/30 backdrop-blur-sm rounded-2xl p-8 border border-red-500/40">
+                    <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                      <h3 className="text-lg font-semibold text-red-200">
+                        {analysisResult.violationCounts.total} Policy {analysisResult.violationCounts.total === 1 ? 'Violation' : 'Violations'}
+                      </h3>
+                      <div className="flex gap-2">
+                        {Object.keys(severityStyles).filter(severity => analysisResult.violationCounts[severity] > 0).map(severity => (
+                          <span key={severity} className={`px-2.5 py-0.5 rounded-full text-xs font-medium border capitalize ${severityStyles[severity]}`}>
+                            {analysisResult.violationCounts[severity]} {severity}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="space-y-2 max-h-96 overflow-y-auto">
+                      {analysisResult.violations.map((violation, index) => (
+                        <div key={index} className="flex items-start gap-3 p-3 rounded-lg bg-gray-900/40">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium border capitalize ${severityStyles[violation.severity]}`}>
+                            {violation.severity}
+                          </span>
+                          <div>
+                            <p className="text-sm text-gray-200">{violation.message}</p>
+                            <p className="text-xs text-gray-500">
+                              {violation.ruleName}
+                              {violation.line && ` · line ${violation.line}`}
+                              {violation.supplier && ` · ${violation.supplier}`}
+                            </p>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    {analysisResult.violationCounts.total > analysisResult.violations.length && (
+                      <p className="text-sm text-red-300 mt-3">
+                        Showing the first {analysisResult.violations.length}. Download the PDF or JSON report for details.
+                      </p>
+                    )}
+                  </div>
+                )}
+
                 {/* Items Table */}
                 <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-8 border border-gray-800">
                   <h3 className="text-lg font-semibold text-white mb-4">Item Breakdown</h3>
@@ -374,6 +2067,9 @@ function App() {
                           <th className="px-6 py-3 text-center text-xs font-medium text-gray-400 uppercase tracking-wider">
                             Green Score
                           </th>
+                          <th className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">
+                            Footprint (kgCO2e)
+                          </th>
                           <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">
                             AI Suggestion
                           </th>
@@ -384,50 +2080,574 @@ function App() {
                           <tr key={index} className="hover:bg-gray-800/30">
                             <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-200">
                               {item.product}
+                              {item.catalogMatch && (
+                                <span
+                                  className="ml-2 px-2 py-0.5 rounded-full text-xs border text-teal-300 bg-teal-500/10 border-teal-500/30"
+                                  title={describeCatalogMatch(item.catalogMatch)}
+                                >
+                                  Catalog
+                                </span>
+                              )}
+                              {violationsByItem.get(index) && (
+                                <span
+                                  className={`ml-2 px-2 py-0.5 rounded-full text-xs border ${severityStyles[violationsByItem.get(index)[0].severity]}`}
+                                  title={violationsByItem.get(index).map(violation => violation.message).join('\n')}
+                                >
+                                  {violationsByItem.get(index).length === 1 ? 'Policy' : `${violationsByItem.get(index).length} policies`}
+                                </span>
+                              )}
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap text-center">
                               <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getScoreBadgeColor(item.greenScore)}`}>
                                 {item.greenScore}
                               </span>
                             </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-300" title={item.emissionCategory}>
+                              {formatKg(item.footprintKgCO2e)}
+                            </td>
                             <td className="px-6 py-4 text-sm text-gray-300">
-                              {item.suggestion || 'No specific recommendations'}
+                              {item.suggestion || (item.suggestionStatus === 'failed' ? (
+                                <span className="text-gray-500" title={item.suggestionError}>Suggestion unavailable</span>
+                              ) : item.suggestionStatus === 'pending' ? (
+                                <span className="text-gray-500">Pending...</span>
+                              ) : 'No specific recommendations')}
+                              {item.suggestionSource === 'cache' && (
+                                <span className="ml-2 text-xs text-gray-500">(cached)</span>
+                              )}
+                              {item.suggestionSource === 'catalog' && (
+                                <span className="ml-2 text-xs text-gray-500">(vetted)</span>
+                              )}
                             </td>
                           </tr>
                         ))}
                       </tbody>
+                      <tfoot className="bg-gray-800/50">
+                        <tr>
+                          <td colSpan={2} className="px-6 py-3 text-sm font-medium text-gray-300">
+                            Estimated Total Footprint
+                          </td>
+                          <td className="px-6 py-3 whitespace-nowrap text-right text-sm font-semibold text-white">
+                            {formatKg(analysisResult.totalFootprintKgCO2e)}
+                          </td>
+                          <td className="px-6 py-3 text-xs text-gray-500">
+                            Indicative estimate from bundled emission factors
+                          </td>
+                        </tr>
+                      </tfoot>
                     </table>
                   </div>
                 </div>
               </div>
             )}
 
+            {/* Trends Dashboard */}
+            {trends?.series.length > 0 && (
+              <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-8 border border-gray-800">
+                <div className="flex items-center justify-between mb-6">
+                  <div>
+                    <h3 className="text-lg font-semibold text-white">Trends</h3>
+                    <p className="text-xs text-gray-500">
+                      Since {new Date(trends.from).toLocaleDateString()}
+                      {trends.truncated && ' · latest 500 analyses only'}
+                    </p>
+                  </div>
+                  <div className="flex rounded-lg border border-gray-700 overflow-hidden">
+                    {['week', 'month', 'quarter'].map(period => (
+                      <button
+                        key={period}
+                        onClick={() => changeTrendPeriod(period)}
+                        className={`px-3 py-1.5 text-sm capitalize ${trendPeriod === period ? 'bg-emerald-600 text-white' : 'text-gray-400 hover:text-gray-200'}`}
+                      >
+                        {period}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                  <TrendChart title="Average Green Score" series={trends.series} valueKey="averageScore" maxValue={100} />
+                  <TrendChart
+                    title="Spend"
+                    series={trends.series}
+                    valueKey="totalSpend"
+                    formatValue={(value) => value.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                  />
+                  <TrendChart
+                    title={`Items Scoring Below ${trends.lowScoreThreshold}`}
+                    series={trends.series}
+                    valueKey="lowScoreShare"
+                    maxValue={1}
+                    formatValue={(value) => `${Math.round(value * 100)}%`}
+                  />
+                </div>
+                {trends.worstProducts.length > 0 && (
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-300 mb-2">Worst Recurring Products</h4>
+                    <div className="space-y-2">
+                      {trends.worstProducts.map(product => (
+                        <div key={product.product} className="flex items-center justify-between p-3 rounded-lg bg-gray-800/30">
+                          <div>
+                            <p className="text-sm text-gray-200">{product.product}</p>
+                            <p className="text-xs text-gray-500">
+                              In {product.occurrences} analyses
+                              {product.totalQuantity != null && ` · ${product.totalQuantity.toLocaleString()} units`}
+                            </p>
+                          </div>
+                          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getScoreColor(product.averageScore)}`}>
+                            {product.averageScore}/100
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Supplier Scorecards */}
+            {suppliers?.suppliers.length > 0 && (
+              <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-8 border border-gray-800">
+                <h3 className="text-lg font-semibold text-white mb-1">Supplier Scorecards</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Across all your analyses
+                  {suppliers.unassignedItems > 0 && ` · ${suppliers.unassignedItems} items have no supplier`}
+                </p>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-800">
+                    <thead className="bg-gray-800/50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Supplier</th>
+                        <th className="px-6 py-3 text-center text-xs font-medium text-gray-400 uppercase tracking-wider">Avg Score</th>
+                        <th className="px-6 py-3 text-center text-xs font-medium text-gray-400 uppercase tracking-wider">Spend-Weighted</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">Spend Share</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">Low-Scoring Items</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">Items</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-gray-900/30 divide-y divide-gray-800">
+                      {suppliers.suppliers.map(supplier => (
+                        <tr
+                          key={supplier.key}
+                          onClick={() => openSupplier(supplier.key)}
+                          className={`cursor-pointer ${selectedSupplier?.key === supplier.key ? 'bg-gray-800/60' : 'hover:bg-gray-800/30'}`}
+                        >
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-200">
+                            {supplier.supplier}
+                            {openingSupplierKey === supplier.key && <span className="ml-2 text-gray-500">Loading...</span>}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-center">
+                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getScoreBadgeColor(supplier.averageScore)}`}>
+                              {supplier.averageScore}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-center text-sm text-gray-300">
+                            {supplier.spendWeightedScore ?? 'n/a'}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-300">{formatShare(supplier.spendShare)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-300">{formatShare(supplier.lowScoreShare)}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-300">{supplier.itemCount}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                {selectedSupplier && (
+                  <div className="mt-6 pt-6 border-t border-gray-800">
+                    <div className="flex items-center justify-between mb-4">
+                      <div>
+                        <h4 className="text-base font-semibold text-white">{selectedSupplier.supplier}</h4>
+                        <p className="text-sm text-gray-500">
+                          {selectedSupplier.itemCount} items in {selectedSupplier.analyses} analyses
+                          {selectedSupplier.lastSeen && ` · last ordered ${new Date(selectedSupplier.lastSeen).toLocaleDateString()}`}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => setSelectedSupplier(null)}
+                        className="text-sm text-gray-400 hover:text-gray-200"
+                      >
+                        Close
+                      </button>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                      <TrendChart title="Average Green Score" series={selectedSupplier.trend} valueKey="averageScore" maxValue={100} />
+                      <TrendChart
+                        title="Spend"
+                        series={selectedSupplier.trend}
+                        valueKey="totalSpend"
+                        formatValue={(value) => value.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                      />
+                    </div>
+                    <h5 className="text-sm font-medium text-gray-300 mb-2">Least Green Products</h5>
+                    <div className="space-y-2">
+                      {selectedSupplier.worstProducts.map(product => (
+                        <div key={product.product} className="flex items-center justify-between p-3 rounded-lg bg-gray-800/30">
+                          <div>
+                            <p className="text-sm text-gray-200">{product.product}</p>
+                            <p className="text-xs text-gray-500">
+                              {product.orders} order lines
+                              {product.totalQuantity != null && ` · ${product.totalQuantity.toLocaleString()} units`}
+                              {product.totalSpend != null && ` · ${product.totalSpend.toLocaleString()} spent`}
+                            </p>
+                          </div>
+                          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getScoreColor(product.averageScore)}`}>
+                            {product.averageScore}/100
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Comparison */}
+            {comparison && (
+              <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-8 border border-gray-800">
+                <div className="flex items-start justify-between mb-6">
+                  <div>
+                    <h3 className="text-lg font-semibold text-white">Comparison</h3>
+                    <p className="text-sm text-gray-500">
+                      {comparison.base.name || comparison.base.fileName} ({new Date(comparison.base.createdAt).toLocaleDateString()})
+                      {' → '}
+                      {comparison.target.name || comparison.target.fileName} ({new Date(comparison.target.createdAt).toLocaleDateString()})
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => setComparison(null)}
+                    className="text-sm text-gray-400 hover:text-gray-200"
+                  >
+                    Close
+                  </button>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+                  {[
+                    ['averageScore', 'Average Score'],
+                    ['quantityWeightedScore', 'Quantity-Weighted'],
+                    ['spendWeightedScore', 'Spend-Weighted']
+                  ].map(([field, label]) => (
+                    <div key={field} className="text-center">
+                      <div className={`text-3xl font-bold mb-1 ${deltaColor(comparison.scores[field].delta)}`}>
+                        {formatDelta(comparison.scores[field].delta)}
+                      </div>
+                      <div className="text-sm text-gray-400">{label}</div>
+                      <div className="text-xs text-gray-500">
+                        {comparison.scores[field].base ?? 'n/a'} → {comparison.scores[field].target ?? 'n/a'}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+
+                <p className="text-sm text-gray-400 mb-4">
+                  {comparison.counts.added} added · {comparison.counts.removed} removed · {comparison.counts.changed} changed in quantity
+                  {comparison.counts.regressions > 0 && (
+                    <span className="text-red-400"> · {comparison.counts.regressions} scored lower</span>
+                  )}
+                </p>
+
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-800">
+                    <thead className="bg-gray-800/50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Product</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider">Change</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">Quantity</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">Green Score</th>
+                        <th className="px-6 py-3 text-right text-xs font-medium text-gray-400 uppercase tracking-wider">Score Δ</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-gray-900/30 divide-y divide-gray-800">
+                      {comparison.items.map(item => (
+                        <tr key={item.key} className={item.regression ? 'bg-red-500/10' : 'hover:bg-gray-800/30'}>
+                          <td className={`px-6 py-4 whitespace-nowrap text-sm font-medium ${item.regression ? 'text-red-300' : 'text-gray-200'}`}>
+                            {item.product}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-400">
+                            {comparisonStatusLabels[item.status]}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-300">
+                            {item.base?.quantity ?? '—'} → {item.target?.quantity ?? '—'}
+                            {item.quantityDelta ? ` (${formatDelta(item.quantityDelta)})` : ''}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-right text-sm text-gray-300">
+                            {item.base?.greenScore ?? '—'} → {item.target?.greenScore ?? '—'}
+                          </td>
+                          <td className={`px-6 py-4 whitespace-nowrap text-right text-sm font-medium ${deltaColor(item.scoreDelta)}`}>
+                            {formatDelta(item.scoreDelta)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
             {/* History Section */}
-            {history.length > 0 && (
+            {(history.length > 0 || deletedHistory.length > 0 || hasHistoryFilters) && (
               <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-8 border border-gray-800">
-                <h3 className="text-lg font-semibold text-white mb-4">Analysis History</h3>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold text-white">Analysis History</h3>
+                  {compareSelection.length > 0 && (
+                    <button
+                      onClick={runComparison}
+                      disabled={compareSelection.length !== 2 || comparing}
+                      className="px-3 py-1.5 rounded-lg text-sm bg-emerald-600 text-white hover:bg-emerald-500 disabled:opacity-50"
+                    >
+                      {comparing ? 'Comparing...' : compareSelection.length === 2 ? 'Compare selected' : 'Select one more to compare'}
+                    </button>
+                  )}
+                  {deletedHistory.length > 0 && (
+                    <button
+                      onClick={() => setShowTrash(!showTrash)}
+                      className="text-sm text-gray-400 hover:text-gray-200"
+                    >
+                      {showTrash ? 'Hide recently deleted' : `Recently deleted (${deletedHistory.length})`}
+                    </button>
+                  )}
+                </div>
+                <form onSubmit={applyHistoryFilters} className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-4">
+                  <input
+                    type="search"
+                    value={historyFilters.q}
+                    onChange={(e) => setHistoryFilters({ ...historyFilters, q: e.target.value })}
+                    placeholder="Search file names"
+                    className="col-span-2 bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                  />
+                  <input
+                    type="text"
+                    value={historyFilters.tags}
+                    onChange={(e) => setHistoryFilters({ ...historyFilters, tags: e.target.value })}
+                    placeholder="Tags"
+                    className="col-span-2 bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={historyFilters.minScore}
+                    onChange={(e) => setHistoryFilters({ ...historyFilters, minScore: e.target.value })}
+                    placeholder="Min score"
+                    className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={historyFilters.maxScore}
+                    onChange={(e) => setHistoryFilters({ ...historyFilters, maxScore: e.target.value })}
+                    placeholder="Max score"
+                    className="bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                  />
+                  <label className="col-span-2 flex items-center space-x-2 text-sm text-gray-400">
+                    <span>From</span>
+                    <input
+                      type="date"
+                      value={historyFilters.from}
+                      onChange={(e) => setHistoryFilters({ ...historyFilters, from: e.target.value })}
+                      className="flex-1 bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                    />
+                  </label>
+                  <label className="col-span-2 flex items-center space-x-2 text-sm text-gray-400">
+                    <span>To</span>
+                    <input
+                      type="date"
+                      value={historyFilters.to}
+                      onChange={(e) => setHistoryFilters({ ...historyFilters, to: e.target.value })}
+                      className="flex-1 bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                    />
+                  </label>
+                  <div className="col-span-2 flex justify-end space-x-2">
+                    {hasHistoryFilters && (
+                      <button
+                        type="button"
+                        onClick={clearHistoryFilters}
+                        className="px-3 py-2 rounded-lg text-sm text-gray-400 hover:text-gray-200"
+                      >
+                        Clear
+                      </button>
+                    )}
+                    <button
+                      type="submit"
+                      className="px-4 py-2 rounded-lg text-sm bg-emerald-600 text-white hover:bg-emerald-500"
+                    >
+                      Filter
+                    </button>
+                  </div>
+                </form>
                 <div className="space-y-3">
+                  {history.length === 0 && !loadingHistory && (
+                    <p className="text-sm text-gray-500">No analyses match these filters.</p>
+                  )}
                   {history.map(item => (
-                    <div key={item.id} className="flex items-center justify-between p-4 bg-gray-800/30 rounded-lg hover:bg-gray-800/50 transition-colors">
-                      <div className="flex items-center space-x-3">
-                        <div className="w-8 h-8 bg-emerald-500/20 rounded-lg flex items-center justify-center border border-emerald-500/30">
-                          <svg className="w-4 h-4 text-emerald-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                          </svg>
+                    <div
+                      key={item.id}
+                      className={`rounded-lg transition-colors ${analysisResult?.id === item.id ? 'bg-gray-800/60 border border-emerald-500/30' : 'bg-gray-800/30 hover:bg-gray-800/50'}`}
+                    >
+                      <div className="flex items-center justify-between p-4">
+                        <a
+                          href={`#/analyses/${item.id}`}
+                          onClick={(e) => {
+                            // Re-clicking the open entry doesn't change the hash, so reload it directly.
+                            if (window.location.hash === `#/analyses/${item.id}`) {
+                              e.preventDefault();
+                              openAnalysis(user, item.id);
+                            }
+                          }}
+                          className="flex-1 text-left flex items-center space-x-3"
+                        >
+                          <div className="w-8 h-8 bg-emerald-500/20 rounded-lg flex items-center justify-center border border-emerald-500/30">
+                            <svg className="w-4 h-4 text-emerald-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                            </svg>
+                          </div>
+                          <div>
+                            <p className="text-sm font-medium text-gray-200">{item.name || item.fileName}</p>
+                            <p className="text-sm text-gray-500">
+                              {item.name && `${item.fileName} · `}
+                              {new Date(item.createdAt).toLocaleDateString()}
+                              {item.itemCount != null && ` · ${item.itemCount} items`}
+                              {openingAnalysisId === item.id && ' · Loading...'}
+                            </p>
+                            {item.tags?.length > 0 && (
+                              <div className="flex flex-wrap gap-1 mt-1">
+                                {item.tags.map(tag => (
+                                  <span key={tag} className="px-2 py-0.5 rounded-full text-xs bg-emerald-500/10 text-emerald-300 border border-emerald-500/20">{tag}</span>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                        </a>
+                        <div className="flex items-center space-x-3 ml-4">
+                          {item.violationCounts?.total > 0 && (
+                            <span
+                              className={`px-2.5 py-0.5 rounded-full text-xs font-medium border ${severityStyles[item.violationCounts.critical > 0 ? 'critical' : 'warning']}`}
+                              title="Policy violations"
+                            >
+                              {item.violationCounts.total} {item.violationCounts.total === 1 ? 'violation' : 'violations'}
+                            </span>
+                          )}
+                          <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getScoreColor(item.averageScore)}`}>
+                            {item.averageScore}/100
+                          </span>
+                          <select
+                            value=""
+                            onChange={(e) => downloadReport(item.id, e.target.value)}
+                            disabled={downloading?.startsWith(`${item.id}:`)}
+                            aria-label="Download report"
+                            className="bg-transparent text-sm text-gray-400 hover:text-emerald-300 disabled:opacity-50"
+                          >
+                            <option value="" disabled>Download</option>
+                            {exportFormats.map(format => (
+                              <option key={format.key} value={format.key}>{format.label}</option>
+                            ))}
+                          </select>
+                          <label className="flex items-center space-x-1 text-sm text-gray-400">
+                            <input
+                              type="checkbox"
+                              checked={compareSelection.some(selected => selected.id === item.id)}
+                              onChange={() => toggleCompare(item)}
+                              className="accent-emerald-500"
+                            />
+                            <span>Compare</span>
+                          </label>
+                          {canEdit && (
+                            <>
+                              <button
+                                onClick={() => (editingId === item.id ? setEditingId(null) : startEditing(item))}
+                                className="text-sm text-gray-400 hover:text-emerald-300"
+                              >
+                                Edit
+                              </button>
+                              <button
+                                onClick={() => deleteAnalysis(item.id)}
+                                className="text-sm text-gray-400 hover:text-red-400"
+                              >
+                                Delete
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </div>
+                      {editingId === item.id && (
+                        <div className="px-4 pb-4 space-y-3">
+                          <input
+                            type="text"
+                            value={editDraft.name}
+                            onChange={(e) => setEditDraft({ ...editDraft, name: e.target.value })}
+                            placeholder={item.fileName}
+                            maxLength={120}
+                            className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                          />
+                          <input
+                            type="text"
+                            value={editDraft.tags}
+                            onChange={(e) => setEditDraft({ ...editDraft, tags: e.target.value })}
+                            placeholder="Tags, separated by commas"
+                            className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                          />
+                          <textarea
+                            value={editDraft.notes}
+                            onChange={(e) => setEditDraft({ ...editDraft, notes: e.target.value })}
+                            placeholder="Notes"
+                            maxLength={2000}
+                            rows={3}
+                            className="w-full bg-gray-900 border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200"
+                          />
+                          <div className="flex justify-end space-x-2">
+                            <button
+                              onClick={() => setEditingId(null)}
+                              className="px-3 py-1.5 rounded-lg text-sm text-gray-400 hover:text-gray-200"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={() => saveAnnotations(item.id)}
+                              disabled={savingEdit}
+                              className="px-3 py-1.5 rounded-lg text-sm bg-emerald-600 text-white hover:bg-emerald-500 disabled:opacity-50"
+                            >
+                              {savingEdit ? 'Saving...' : 'Save'}
+                            </button>
+                          </div>
                         </div>
+                      )}
+                    </div>
+                  ))}
+                  {historyCursor && (
+                    <button
+                      onClick={() => fetchHistory(user, { filters: historyFilters, cursor: historyCursor })}
+                      disabled={loadingHistory}
+                      className="w-full py-2 rounded-lg text-sm text-gray-400 bg-gray-800/30 hover:bg-gray-800/50 disabled:opacity-50"
+                    >
+                      {loadingHistory ? 'Loading...' : 'Load more'}
+                    </button>
+                  )}
+                </div>
+
+                {showTrash && deletedHistory.length > 0 && (
+                  <div className="mt-6 pt-4 border-t border-gray-800 space-y-3">
+                    <p className="text-sm text-gray-500">Deleted analyses can be restored until they are removed for good.</p>
+                    {deletedHistory.map(item => (
+                      <div key={item.id} className="flex items-center justify-between p-4 rounded-lg bg-gray-800/20">
                         <div>
-                          <p className="text-sm font-medium text-gray-200">{item.fileName}</p>
-                          <p className="text-sm text-gray-500">
+                          <p className="text-sm font-medium text-gray-400">{item.name || item.fileName}</p>
+                          <p className="text-sm text-gray-600">
                             {new Date(item.createdAt).toLocaleDateString()}
+                            {item.purgeAt && ` · Removed for good on ${new Date(item.purgeAt).toLocaleDateString()}`}
                           </p>
                         </div>
+                        {canEdit && (
+                          <button
+                            onClick={() => restoreAnalysis(item.id)}
+                            className="text-sm text-emerald-400 hover:text-emerald-300"
+                          >
+                            Restore
+                          </button>
+                        )}
                       </div>
-                      <span className={`px-2.5 py-0.5 rounded-full text-xs font-medium ${getScoreColor(item.averageScore)}`}>
-                        {item.averageScore}/100
-                      </span>
-                    </div>
-                  ))}
-                </div>
+                    ))}
+                  </div>
+                )}
               </div>
             )}
             </div>
@@ -0,0 +1,62 @@
+const WIDTH = 320;
+const HEIGHT = 120;
+const PADDING = 16;
+
+// Small SVG line chart for one series of the trends dashboard. Periods with no
+// value (e.g. no spend data) leave a gap in the line.
+function TrendChart({ title, series, valueKey, formatValue = (value) => value, minValue = 0, maxValue }) {
+  const values = series.map(point => point[valueKey]);
+  const known = values.filter(value => value !== null && value !== undefined);
+  const top = maxValue ?? Math.max(...known, minValue + 1);
+  const x = (index) => (series.length === 1
+    ? WIDTH / 2
+    : PADDING + (index * (WIDTH - 2 * PADDING)) / (series.length - 1));
+  const y = (value) => HEIGHT - PADDING - ((value - minValue) / (top - minValue || 1)) * (HEIGHT - 2 * PADDING);
+
+  // Split into runs of consecutive known values so gaps aren't bridged.
+  const segments = [];
+  let current = [];
+  values.forEach((value, index) => {
+    if (value === null || value === undefined) {
+      if (current.length) segments.push(current);
+      current = [];
+    } else {
+      current.push(`${x(index)},${y(value)}`);
+    }
+  });
+  if (current.length) segments.push(current);
+
+  const latest = known.length ? known[known.length - 1] : null;
+
+  return (
+    <div className="bg-gray-800/30 rounded-lg p-4">
+      <div className="flex items-baseline justify-between mb-2">
+        <span className="text-sm text-gray-400">{title}</span>
+        <span className="text-lg font-semibold text-white">{latest === null ? '—' : formatValue(latest)}</span>
+      </div>
+      {known.length === 0 ? (
+        <p className="text-sm text-gray-500 py-8 text-center">No data for this period</p>
+      ) : (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-28">
+          <line x1={PADDING} y1={HEIGHT - PADDING} x2={WIDTH - PADDING} y2={HEIGHT - PADDING} className="stroke-gray-700" />
+          {segments.map((points, index) => (
+            <polyline key={index} points={points.join(' ')} fill="none" className="stroke-emerald-400" strokeWidth={2} />
+          ))}
+          {values.map((value, index) => (value === null || value === undefined ? null : (
+            <circle key={index} cx={x(index)} cy={y(value)} r={3} className="fill-emerald-400">
+              <title>{`${series[index].period}: ${formatValue(value)}`}</title>
+            </circle>
+          )))}
+        </svg>
+      )}
+      {series.length > 0 && (
+        <div className="flex justify-between text-xs text-gray-500 mt-1">
+          <span>{series[0].period}</span>
+          {series.length > 1 && <span>{series[series.length - 1].period}</span>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TrendChart;
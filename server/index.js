@@ -205,22 +205,43 @@
 
 // 1. IMPORT LIBRARIES
 require('dotenv').config();
+const os = require('os');
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const csv = require('csv-parser');
-const stream = require('stream');
 const admin = require('firebase-admin');
-// --- NEW: Import Google Generative AI ---
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { PROMPT_VERSION, createAIProvider } = require('./lib/aiProviders');
+const { createSuggestionCache } = require('./lib/suggestionCache');
+const { LOW_SCORE_THRESHOLD, aiStatusOf, createEnricher, markPending } = require('./lib/enrichment');
+const { createJobStore, isTerminal, serializeJob } = require('./lib/jobs');
+const { chunk } = require('./lib/async');
+const { normalizeProductName } = require('./lib/text');
+const { inWorkspace } = require('./lib/records');
+const { getRuleset, loadRuleset, scoreItem, watchRuleset } = require('./lib/scoring');
+const { summarizeScores } = require('./lib/metrics');
+const { EMISSION_FACTORS_VERSION, estimateFootprint, totalFootprint } = require('./lib/footprint');
+const { applyColumnMapping, headerSignature, resolveColumnMapping, validateColumnMapping } = require('./lib/columns');
+const { detectFormat, parseUpload, unsupportedFormatError } = require('./lib/parsers');
+const { MAX_STORED_REJECTED_ROWS, validateRows } = require('./lib/validation');
+const { parseAnnotationUpdate } = require('./lib/annotations');
+const { matchesHistoryFilters, parseDateRange, parseHistoryQuery } = require('./lib/historyQuery');
+const { compareAnalyses } = require('./lib/compare');
+const { PERIODS, buildTrends } = require('./lib/trends');
+const { FORMATS, exportFileName, toCsv, toJson, toPdf } = require('./lib/exporters');
+const { buildSupplierDetail, buildSupplierScorecards } = require('./lib/suppliers');
+const { ROLES, createOrgStore, hasRole, isRole } = require('./lib/orgs');
+const { createApiKeyStore, isApiKey, parseApiKeyRequest } = require('./lib/apiKeys');
+const { createWebhookService, parseWebhookRequest } = require('./lib/webhooks');
+const { createPolicyStore, evaluatePolicies, parsePolicyRule } = require('./lib/policies');
+const { createCatalogStore, matchCatalog, parseCatalogEntry } = require('./lib/catalog');
 
-// 2. INITIALIZE SERVICES (Now with Google Gemini)
+// 2. INITIALIZE SERVICES
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// --- NEW: Initialize Google Gemini ---
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const geminiModel = genAI.getGenerativeModel({ model: "gemini-2.5-pro" });
+// AI provider (gemini, openai or the offline mock) is chosen by AI_PROVIDER / available keys.
+const aiProvider = createAIProvider();
+console.log(`Using AI provider "${aiProvider.name}" with model "${aiProvider.model}"`);
 
 // Initialize Firebase Admin SDK
 let serviceAccount = null;
@@ -242,15 +263,93 @@ admin.initializeApp({
 });
 const db = admin.firestore();
 
+// AI answers are cached per normalized product, region and prompt version.
+const SUGGESTION_REGION = process.env.SUGGESTION_REGION || 'India';
+const suggestionCache = createSuggestionCache({
+    db,
+    Timestamp: admin.firestore.Timestamp,
+    promptVersion: PROMPT_VERSION,
+    ttlMs: (Number(process.env.SUGGESTION_CACHE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000,
+});
+// Identifies this server for its upload jobs; keep it stable across restarts and unique per instance.
+const INSTANCE_ID = process.env.INSTANCE_ID || os.hostname();
+const jobs = createJobStore({ db, FieldValue: admin.firestore.FieldValue, instanceId: INSTANCE_ID });
+const orgs = createOrgStore({ db, FieldValue: admin.firestore.FieldValue });
+const apiKeys = createApiKeyStore({ db, FieldValue: admin.firestore.FieldValue });
+const policyRules = createPolicyStore({ db, FieldValue: admin.firestore.FieldValue });
+const catalog = createCatalogStore({ db, FieldValue: admin.firestore.FieldValue });
+// How sure a catalog match must be (0-1) before its score replaces the rule-based one.
+const CATALOG_MIN_CONFIDENCE = Number(process.env.CATALOG_MIN_CONFIDENCE) || 0.75;
+// Off by default so webhooks can't be aimed at services inside the server's network.
+const WEBHOOK_ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+const webhooks = createWebhookService({
+    db,
+    FieldValue: admin.firestore.FieldValue,
+    Timestamp: admin.firestore.Timestamp,
+    allowPrivateUrls: WEBHOOK_ALLOW_PRIVATE_URLS,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000,
+});
+const enricher = createEnricher({
+    aiProvider,
+    suggestionCache,
+    batchSize: Number(process.env.AI_BATCH_SIZE) || 20,
+    concurrency: Number(process.env.AI_CONCURRENCY) || 3,
+    retries: Number(process.env.AI_MAX_RETRIES ?? 3),
+    itemTimeoutMs: Number(process.env.AI_ITEM_TIMEOUT_MS) || 20000,
+});
+
 // ... (The middleware, calculateGreenScore function, etc. all remain exactly the same) ...
 // 3. APPLY MIDDLEWARE
-app.use(cors());
+// Content-Disposition carries the file name of report downloads.
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 app.use(express.json());
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || 5;
 const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+const upload = multer({
+    storage: storage,
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (detectFormat(file)) { return cb(null, true); }
+        cb(unsupportedFormatError(file));
+    }
+});
+// Wraps multer so size and type rejections come back as JSON errors instead of HTML.
+function receiveUpload(req, res, next) {
+    upload.single('file')(req, res, (err) => {
+        if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `File is too large. The limit is ${MAX_UPLOAD_MB} MB.` });
+        }
+        if (err) { return res.status(err.status || 400).json({ error: err.message }); }
+        next();
+    });
+}
+// API keys carry their own workspace, so X-Org-Id is ignored for them.
+async function authenticateApiKey(secret, req, res, next) {
+    try {
+        const key = await apiKeys.verify(secret);
+        if (!key) { return res.status(401).json({ error: "Invalid or revoked API key." }); }
+        // Organization keys act with their creator's current role and stop working if they leave.
+        let role = 'admin';
+        if (key.orgId) {
+            const membership = await orgs.getMembership(key.orgId, key.userId);
+            if (!membership) { return res.status(401).json({ error: "Invalid or revoked API key." }); }
+            role = membership.role;
+        }
+        req.currentUser = { uid: key.userId };
+        req.apiKey = key;
+        req.workspace = { uid: key.userId, orgId: key.orgId, role };
+        next();
+    } catch (dbError) {
+        console.error("Error checking API key:", dbError);
+        res.status(500).json({ error: "Failed to check API key." });
+    }
+}
 async function decodeIDToken(req, res, next) {
     if (req.headers?.authorization?.startsWith('Bearer ')) {
         const idToken = req.headers.authorization.split('Bearer ')[1];
+        if (isApiKey(idToken)) { return authenticateApiKey(idToken, req, res, next); }
         try {
             const decodedToken = await admin.auth().verifyIdToken(idToken);
             req['currentUser'] = decodedToken;
@@ -258,109 +357,1178 @@ async function decodeIDToken(req, res, next) {
             console.log("Token verification failed:", err.message);
         }
     }
+    if (req.currentUser) {
+        // X-Org-Id picks an organization workspace; without it, requests act on the user's personal analyses.
+        const uid = req.currentUser.uid;
+        const orgId = req.get('X-Org-Id');
+        if (!orgId) {
+            req.workspace = { uid, orgId: null, role: 'admin' };
+        } else {
+            try {
+                const membership = await orgs.getMembership(orgId, uid);
+                if (!membership) { return res.status(403).json({ error: "You are not a member of that organization." }); }
+                req.workspace = { uid, orgId, role: membership.role };
+            } catch (dbError) {
+                console.error("Error checking organization membership:", dbError);
+                return res.status(500).json({ error: "Failed to check organization membership." });
+            }
+        }
+    }
     next();
 }
 app.use(decodeIDToken);
 
-// 4. DEFINE CORE LOGIC
-function calculateGreenScore(item) {
-    if (!item || !item.product) { return 0; }
-    let score = 50;
-    const productName = item.product.toLowerCase();
-    if (productName.includes('recycled')) score += 20;
-    if (productName.includes('compostable')) score += 20;
-    if (productName.includes('organic')) score += 15;
-    if (productName.includes('reusable')) score += 15;
-    if (productName.includes('led')) score += 10;
-    if (productName.includes('local')) score += 10;
-    if (productName.includes('plastic') && !productName.includes('reusable')) score -= 30;
-    if (productName.includes('disposable')) score -= 25;
-    if (productName.includes('single-use')) score -= 30;
-    return Math.max(0, Math.min(100, score));
+// Route guard: signed in, with at least `role` (viewer < analyst < admin) in the current workspace.
+// API keys are only accepted on routes listing one of their `scopes`.
+function requireRole(role, { scopes = [] } = {}) {
+    return (req, res, next) => {
+        if (!req.currentUser) { return res.status(401).json({ error: "Unauthorized." }); }
+        if (req.apiKey && !scopes.some(scope => req.apiKey.scopes.includes(scope))) {
+            return res.status(403).json({ error: "This API key can't be used for this request." });
+        }
+        if (!hasRole(req.workspace.role, role)) {
+            return res.status(403).json({ error: `This requires the ${role} role in this organization.` });
+        }
+        next();
+    };
 }
 
-// 5. DEFINE API ROUTES
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+// Routes for people only (organizations, invites, admin tools), never API keys.
+function requireSignedIn(req, res, next) {
     if (!req.currentUser) { return res.status(401).json({ error: "Unauthorized." }); }
-    if (!req.file) { return res.status(400).json({ error: 'No file uploaded.' }); }
+    if (req.apiKey) { return res.status(403).json({ error: "This API key can't be used for this request." }); }
+    next();
+}
 
-    const results = [];
-    const bufferStream = stream.Readable.from(req.file.buffer);
+// The same check for /api/orgs/:orgId routes, where the organization comes from the path.
+function requireOrgRole(role) {
+    return async (req, res, next) => {
+        if (!req.currentUser || req.apiKey) { return requireSignedIn(req, res, next); }
+        try {
+            const membership = await orgs.getMembership(req.params.orgId, req.currentUser.uid);
+            if (!membership) { return res.status(404).json({ error: "Organization not found." }); }
+            if (!hasRole(membership.role, role)) {
+                return res.status(403).json({ error: `This requires the ${role} role in this organization.` });
+            }
+            req.membership = membership;
+            next();
+        } catch (dbError) {
+            console.error("Error checking organization membership:", dbError);
+            res.status(500).json({ error: "Failed to check organization membership." });
+        }
+    };
+}
 
-    bufferStream
-        .pipe(csv({ mapHeaders: ({ header }) => header.toLowerCase() }))
-        .on('data', (data) => {
-            const score = calculateGreenScore(data);
-            results.push({ ...data, greenScore: score });
-        })
-        .on('end', async () => {
-            try {
-                // --- NEW: AI Analysis using Google Gemini ---
-                const summaryPrompt = `Based on this list of purchased items: ${JSON.stringify(results.map(i => i.product))}, write a 2-3 sentence summary of the environmental impact.`;
-                const summaryResult = await geminiModel.generateContent(summaryPrompt);
-                const summary = summaryResult.response.text();
-
-                const lowScoringItems = results.filter(item => item.greenScore < 40);
-                await Promise.all(lowScoringItems.map(async (item) => {
-                    const alternativePrompt = `Suggest one greener, sustainable alternative for "${item.product}" that is commonly available in India.`;
-                    const altResult = await geminiModel.generateContent(alternativePrompt);
-                    item.suggestion = altResult.response.text();
-                }));
-                // --- END of Gemini AI Logic ---
-
-                const totalScore = results.reduce((acc, item) => acc + item.greenScore, 0);
-                const averageScore = results.length > 0 ? Math.round(totalScore / results.length) : 0;
-
-                const finalResult = {
-                    fileName: req.file.originalname,
-                    averageScore: averageScore,
-                    summary: summary,
-                    items: results,
-                };
-
-                await db.collection('analyses').add({
-                    ...finalResult,
-                    userId: req.currentUser.uid,
-                    createdAt: admin.firestore.FieldValue.serverTimestamp()
-                });
-
-                console.log(`Analysis for user ${req.currentUser.uid} saved successfully.`);
-                res.json(finalResult);
-
-            } catch (error) {
-                console.error("Error during AI processing or DB save:", error);
-                res.status(500).json({ error: 'Failed to get AI insights or save data.' });
+// 4. DEFINE CORE LOGIC
+// Scoring rules live in rulesets/*.json (see lib/scoring.js) and reload when the file changes.
+getRuleset();
+watchRuleset();
+
+const ADMIN_UIDS = (process.env.ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean);
+function isAdmin(user) {
+    return Boolean(user && ADMIN_UIDS.includes(user.uid));
+}
+
+// Keeps a copy of every ruleset version that produced saved scores, so old analyses stay explainable.
+// A version already recorded with other rules (the file was edited across a restart
+// without a version bump) is refused, since its snapshot would no longer explain new scores.
+const recordedRulesets = new Set();
+async function recordRulesetSnapshot(ruleset) {
+    if (recordedRulesets.has(ruleset.contentHash)) { return; }
+    const ref = db.collection('rulesets').doc(ruleset.version);
+    const recorded = await ref.get();
+    const recordedHash = recorded.exists ? recorded.data().contentHash : null;
+    if (recordedHash && recordedHash !== ruleset.contentHash) {
+        throw httpError(503, `Scoring ruleset ${ruleset.version} was edited without a version bump. Ask an admin to bump its version.`);
+    }
+    await ref.set({
+        ...ruleset.source,
+        contentHash: ruleset.contentHash,
+        recordedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    recordedRulesets.add(ruleset.contentHash);
+}
+
+// Analyses of a workspace, narrowed further in memory with inWorkspace for personal ones.
+function workspaceQuery(workspace) {
+    const analyses = db.collection('analyses');
+    return workspace.orgId ? analyses.where('orgId', '==', workspace.orgId) : analyses.where('userId', '==', workspace.uid);
+}
+
+/**
+ * Loads an analysis from the request's workspace; null when it doesn't exist,
+ * belongs elsewhere, or is in the trash (unless `includeDeleted`).
+ */
+async function getWorkspaceAnalysis(id, workspace, { includeDeleted = false } = {}) {
+    const ref = db.collection('analyses').doc(id);
+    const doc = await ref.get();
+    if (!doc.exists || !inWorkspace(doc.data(), workspace)) { return null; }
+    if (doc.data().deletedAt && !includeDeleted) { return null; }
+    return { ref, data: doc.data() };
+}
+
+// Jobs are visible to the user who started them, and only from the workspace they ran in,
+// so leaving an organization (or switching to a personal API key) also cuts off its old jobs.
+function canSeeJob(job, req) {
+    return Boolean(job) && job.userId === req.currentUser.uid && (job.orgId || null) === req.workspace.orgId;
+}
+
+const TIMESTAMP_FIELDS = ['createdAt', 'updatedAt', 'enrichedAt', 'deletedAt', 'purgeAt'];
+function serializeAnalysis(id, data) {
+    const { userId, orgId, ...analysis } = data;
+    for (const field of TIMESTAMP_FIELDS) {
+        if (field in analysis) { analysis[field] = analysis[field] ? analysis[field].toDate().toISOString() : null; }
+    }
+    return { id, ...analysis, createdAt: analysis.createdAt ?? null };
+}
+
+// Fields returned by /api/history; everything else stays in the detail view.
+const HISTORY_FIELDS = [
+    'fileName', 'name', 'notes', 'tags', 'createdAt', 'averageScore', 'quantityWeightedScore', 'spendWeightedScore',
+    'totalFootprintKgCO2e', 'itemCount', 'aiStatus', 'violationCounts', 'deletedAt', 'purgeAt'
+];
+
+/**
+ * One page of a user's history, newest first. Firestore narrows by owner and date;
+ * the remaining filters run in memory over at most HISTORY_SCAN_LIMIT documents
+ * per call. `nextCursor` is the id of the last document examined, or null at the end.
+ */
+const HISTORY_SCAN_LIMIT = 1000;
+async function queryHistory(workspace, options) {
+    let query = workspaceQuery(workspace)
+        .orderBy('createdAt', 'desc')
+        .select(...HISTORY_FIELDS, 'userId', 'orgId');
+    if (options.from) { query = query.where('createdAt', '>=', admin.firestore.Timestamp.fromDate(options.from)); }
+    if (options.to) { query = query.where('createdAt', '<=', admin.firestore.Timestamp.fromDate(options.to)); }
+    if (options.cursor) {
+        const cursorDoc = await db.collection('analyses').doc(options.cursor).get();
+        if (!cursorDoc.exists || !inWorkspace(cursorDoc.data(), workspace)) {
+            throw httpError(400, 'Invalid history cursor.');
+        }
+        query = query.startAfter(cursorDoc);
+    }
+
+    const items = [];
+    let scanned = 0;
+    let lastDoc = null;
+    const batchSize = Math.min(options.limit * 2, 200);
+    while (items.length < options.limit && scanned < HISTORY_SCAN_LIMIT) {
+        const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).limit(batchSize).get();
+        for (const doc of snapshot.docs) {
+            scanned += 1;
+            lastDoc = doc;
+            if (inWorkspace(doc.data(), workspace) && matchesHistoryFilters(doc.data(), options)) {
+                items.push(serializeAnalysis(doc.id, doc.data()));
+                if (items.length === options.limit) { break; }
             }
+        }
+        if (snapshot.size < batchSize && items.length < options.limit) {
+            return { items, nextCursor: null };
+        }
+    }
+    return { items, nextCursor: lastDoc ? lastDoc.id : null };
+}
+
+// The aggregate views cover the last year unless ?from says otherwise, and at most
+// this many of the newest analyses in the range, so their cost doesn't grow with history.
+const AGGREGATE_DEFAULT_DAYS = 365;
+const MAX_AGGREGATE_ANALYSES = 500;
+
+/**
+ * A workspace's non-deleted analyses created in [from, to], oldest first, with
+ * `createdAt` as a Date and only the given fields. Used by the aggregate views
+ * (trends, suppliers). Resolves with `{ analyses, from, truncated }`; `truncated`
+ * means older analyses in the range were left out.
+ */
+async function loadWorkspaceAnalyses(workspace, fields, { from = null, to = null } = {}) {
+    const since = from || new Date(Date.now() - AGGREGATE_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+    let query = workspaceQuery(workspace)
+        .orderBy('createdAt', 'desc')
+        .where('createdAt', '>=', admin.firestore.Timestamp.fromDate(since));
+    if (to) { query = query.where('createdAt', '<=', admin.firestore.Timestamp.fromDate(to)); }
+    const snapshot = await query
+        .select('createdAt', 'deletedAt', 'userId', 'orgId', ...fields)
+        .limit(MAX_AGGREGATE_ANALYSES)
+        .get();
+    const analyses = snapshot.docs
+        .filter(doc => !doc.data().deletedAt && doc.data().createdAt && inWorkspace(doc.data(), workspace))
+        .map(doc => {
+            const { deletedAt, userId, orgId, ...data } = doc.data();
+            return { id: doc.id, ...data, createdAt: data.createdAt.toDate() };
         })
-        .on('error', (error) => {
-            console.error('Error parsing CSV:', error);
-            res.status(500).json({ error: 'Failed to process CSV file.' });
+        .reverse();
+    return { analyses, from: since, truncated: snapshot.size === MAX_AGGREGATE_ANALYSES };
+}
+
+// Deleted analyses sit in the trash for this long before they are purged for good.
+const ANALYSIS_RESTORE_DAYS = Number(process.env.ANALYSIS_RESTORE_DAYS) || 30;
+
+async function purgeDeletedAnalyses() {
+    const snapshot = await db.collection('analyses')
+        .where('purgeAt', '<=', admin.firestore.Timestamp.now())
+        .limit(400)
+        .get();
+    if (snapshot.empty) { return; }
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    console.log(`Purged ${snapshot.size} deleted analyses.`);
+}
+
+/**
+ * Runs AI enrichment on a saved analysis and stores the outcome. The summary is
+ * only regenerated when it isn't complete yet. Never loses the deterministic scores:
+ * AI failures are recorded on the document instead of thrown.
+ */
+async function enrichAnalysis(ref, analysis, { onProgress } = {}) {
+    const region = analysis.region || SUGGESTION_REGION;
+    const result = await enricher.enrich(analysis.items, {
+        region,
+        includeSummary: analysis.summaryStatus !== 'complete',
+        onProgress
+    });
+    const enriched = { ...analysis, ...result };
+    enriched.aiStatus = aiStatusOf(enriched);
+
+    await ref.update({
+        ...result,
+        items: enriched.items,
+        aiStatus: enriched.aiStatus,
+        enrichedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return enriched;
+}
+
+// Column mappings a user confirmed for a given header layout, so recurring exports map themselves.
+function columnMappingDocId(uid, signature) {
+    return `${uid}_${signature}`;
+}
+
+async function getSavedColumnMapping(uid, signature) {
+    const doc = await db.collection('columnMappings').doc(columnMappingDocId(uid, signature)).get();
+    return doc.exists ? doc.data().mapping : null;
+}
+
+async function saveColumnMapping(uid, signature, headers, mapping) {
+    await db.collection('columnMappings').doc(columnMappingDocId(uid, signature)).set({
+        userId: uid,
+        headers,
+        mapping,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+/**
+ * Score and footprint estimate for one mapped row. A confident match in the
+ * curated catalog sets the score (and, for low scorers, the suggestion from its
+ * vetted alternatives); otherwise the ruleset scores the row.
+ */
+function scoreRow(data, ruleset, catalogIndex) {
+    const match = matchCatalog(catalogIndex, data, { minConfidence: CATALOG_MIN_CONFIDENCE });
+    if (!match) {
+        const { greenScore, matchedRules } = scoreItem(data, ruleset);
+        return { ...data, greenScore, matchedRules, scoreSource: 'rules', ...estimateFootprint(data) };
+    }
+    const { entry, confidence } = match;
+    const vetted = entry.greenScore < LOW_SCORE_THRESHOLD && entry.alternatives.length > 0
+        ? { suggestion: entry.alternatives.join('; '), suggestionSource: 'catalog', suggestionStatus: 'complete' }
+        : {};
+    return {
+        ...data,
+        greenScore: entry.greenScore,
+        matchedRules: [],
+        scoreSource: 'catalog',
+        catalogMatch: { id: entry.id, name: entry.name, confidence, certifications: entry.certifications },
+        ...vetted,
+        ...estimateFootprint(data),
+    };
+}
+
+// A request problem the user can fix; `details` carries what the client needs to fix it.
+function httpError(status, message, details = null) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+}
+
+/**
+ * The upload pipeline: parse, map columns, validate, score, save, then enrich
+ * with AI. Runs in the background and reports progress on the job record.
+ * Resolves with the saved analysis id.
+ */
+async function processUpload(jobId, { file, uid, orgId, explicitMapping, saveMapping, sheet, region }) {
+    await jobs.update(jobId, { status: 'running', stage: 'parsing' });
+    let parsed;
+    try {
+        parsed = await parseUpload(file, { sheet });
+    } catch (error) {
+        if (error.status) { throw httpError(error.status, error.message); }
+        throw error;
+    }
+    if (parsed.rows.length === 0) {
+        throw httpError(400, 'The file has no data rows.');
+    }
+
+    const signature = headerSignature(parsed.headers);
+    if (explicitMapping) {
+        const problems = validateColumnMapping(explicitMapping, parsed.headers);
+        if (problems.length > 0) {
+            throw httpError(400, 'Invalid column mapping.', { problems, headers: parsed.headers });
+        }
+    }
+    // The signature ignores case and punctuation but a saved mapping names exact headers, so a
+    // re-export with "Item Name" instead of "item_name" must not reuse it; detection or the
+    // mapping prompt takes over instead.
+    const saved = explicitMapping ? null : await getSavedColumnMapping(uid, signature);
+    const savedMapping = saved && validateColumnMapping(saved, parsed.headers).length === 0 ? saved : null;
+    const { mapping, unmappedColumns } = resolveColumnMapping(parsed.headers, explicitMapping || savedMapping || {});
+    if (!mapping.product) {
+        throw httpError(400, 'Could not find a product column. Rename it or send a columnMapping.', { headers: parsed.headers });
+    }
+    if (explicitMapping && saveMapping) {
+        await saveColumnMapping(uid, signature, parsed.headers, explicitMapping);
+    }
+
+    const { validRows, validLines, rejectedRows } = validateRows(
+        parsed.rows.map(row => applyColumnMapping(row, mapping)),
+        parsed.lines
+    );
+    if (validRows.length === 0) {
+        throw httpError(422, 'No valid rows to analyze.', {
+            rejectedRows: rejectedRows.slice(0, MAX_STORED_REJECTED_ROWS),
+            rejectedCount: rejectedRows.length
         });
+    }
+
+    // Pin the ruleset and catalog so a change mid-upload can't mix versions within one analysis.
+    const ruleset = getRuleset();
+    const catalogIndex = await catalog.getIndex();
+    await jobs.update(jobId, { stage: 'scoring', rowsTotal: validRows.length, rowsProcessed: 0 });
+    const results = [];
+    for (const batch of chunk(validRows, 500)) {
+        for (const data of batch) {
+            results.push(scoreRow(data, ruleset, catalogIndex));
+        }
+        await jobs.progress(jobId, { rowsProcessed: results.length });
+    }
+
+    const scores = summarizeScores(results);
+    markPending(results);
+    // Policy violations are reported next to the score; they never change it.
+    const { violations, violationCounts } = evaluatePolicies(results, await policyRules.list({ uid, orgId }), validLines);
+
+    const analysis = {
+        fileName: file.originalname,
+        fileFormat: parsed.format,
+        ...(parsed.sheet && { sheet: parsed.sheet }),
+        ...scores,
+        itemCount: results.length,
+        totalFootprintKgCO2e: totalFootprint(results),
+        emissionFactorsVersion: EMISSION_FACTORS_VERSION,
+        summary: null,
+        summaryStatus: 'pending',
+        region,
+        items: results,
+        rulesetVersion: ruleset.version,
+        rulesetHash: ruleset.contentHash,
+        aiProvider: aiProvider.name,
+        aiModel: aiProvider.model,
+        columnMapping: mapping,
+        unmappedColumns,
+        rejectedRows: rejectedRows.slice(0, MAX_STORED_REJECTED_ROWS),
+        rejectedCount: rejectedRows.length,
+        violations,
+        violationCounts,
+    };
+    analysis.aiStatus = aiStatusOf(analysis);
+
+    // Save the deterministic scores first, so they survive whatever the AI provider does.
+    await recordRulesetSnapshot(ruleset);
+    const ref = await db.collection('analyses').add({
+        ...analysis,
+        userId: uid,
+        orgId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    console.log(`Analysis for user ${uid}${orgId ? ` in organization ${orgId}` : ''} saved successfully.`);
+    await jobs.update(jobId, { stage: 'enriching', rowsProcessed: results.length, analysisId: ref.id });
+
+    const enriched = await enrichAnalysis(ref, analysis, {
+        onProgress: (counts) => jobs.progress(jobId, counts).catch(err => console.error('Job progress update failed:', err.message))
+    });
+    await jobs.update(jobId, { status: 'completed', stage: null });
+    webhooks.analysisCompleted({ ...enriched, id: ref.id, userId: uid, orgId })
+        .catch(err => console.error(`Queueing webhooks for analysis ${ref.id} failed:`, err.message));
+    return ref.id;
+}
+
+function runUploadJob(jobId, options) {
+    processUpload(jobId, options).catch(async (error) => {
+        console.error(`Upload job ${jobId} failed:`, error);
+        try {
+            await jobs.update(jobId, {
+                status: 'failed',
+                error: error.status ? error.message : 'Failed to analyze or save the upload.',
+                errorStatus: error.status || 500,
+                errorDetails: error.details || null
+            });
+        } catch (updateError) {
+            console.error(`Could not record failure of job ${jobId}:`, updateError);
+        }
+    });
+}
+
+// 5. DEFINE API ROUTES
+// Pre-purchase check: scores one product ({ "product": ... }) or a small basket
+// (an array, or { "items": [...] }) right away, without saving anything.
+// ?suggest=true adds AI alternatives for low scorers, from the suggestion cache where possible.
+const MAX_SCORE_ITEMS = 50;
+app.post('/api/score', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    const body = req.body;
+    const single = Boolean(body) && typeof body === 'object' && !Array.isArray(body) && !Array.isArray(body.items);
+    const rows = single ? [body] : (Array.isArray(body) ? body : body?.items);
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return res.status(400).json({ error: 'Send a product, e.g. { "product": "LED bulb 9W" }, or a list of items.' });
+    }
+    if (rows.length > MAX_SCORE_ITEMS) {
+        return res.status(400).json({ error: `At most ${MAX_SCORE_ITEMS} items can be scored at once; upload a file for more.` });
+    }
+    if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+        return res.status(400).json({ error: 'Each item must be an object with a product.' });
+    }
+
+    // Same header aliases and row checks as uploads, so "qty" or "vendor" work here too.
+    const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const { mapping } = resolveColumnMapping(headers);
+    const { validRows, rejectedRows } = validateRows(
+        rows.map(row => applyColumnMapping(row, mapping)),
+        rows.map((row, index) => index + 1)
+    );
+    if (rejectedRows.length > 0 || validRows.length === 0) {
+        return res.status(400).json({ error: 'Some items could not be scored.', rejectedRows });
+    }
+
+    try {
+        const ruleset = getRuleset();
+        const catalogIndex = await catalog.getIndex();
+        const items = validRows.map(row => scoreRow(row, ruleset, catalogIndex));
+        const { violations, violationCounts } = evaluatePolicies(items, await policyRules.list(req.workspace));
+        if (req.query.suggest === 'true') {
+            const lowScorers = items.filter(item => item.greenScore < LOW_SCORE_THRESHOLD && !item.suggestion);
+            const suggestions = await enricher.suggestAlternatives(lowScorers.map(item => item.product), req.query.region || SUGGESTION_REGION);
+            for (const item of lowScorers) {
+                const answer = suggestions.get(normalizeProductName(item.product));
+                Object.assign(item, answer.error
+                    ? { suggestion: null, suggestionError: answer.error }
+                    : { suggestion: answer.suggestion, suggestionSource: answer.suggestionSource });
+            }
+        }
+
+        if (single) {
+            return res.json({ ...items[0], rulesetVersion: ruleset.version, violations });
+        }
+        res.json({ rulesetVersion: ruleset.version, ...summarizeScores(items), items, violations, violationCounts });
+    } catch (error) {
+        console.error("Error scoring items:", error);
+        res.status(500).json({ error: 'Failed to score the items.' });
+    }
 });
 
-app.get('/api/history', async (req, res) => {
-    if (!req.currentUser) { return res.status(401).json({ error: "Unauthorized." }); }
+// Uploads are processed in the background; poll GET /api/jobs/:id for progress.
+app.post('/api/upload', requireRole('analyst', { scopes: ['upload'] }), receiveUpload, async (req, res) => {
+    if (!req.file) { return res.status(400).json({ error: 'No file uploaded.' }); }
+
+    // Optional explicit mapping sent as a JSON form field, e.g. {"product":"Item Description"}
+    let explicitMapping = null;
+    if (req.body?.columnMapping) {
+        try {
+            explicitMapping = JSON.parse(req.body.columnMapping);
+        } catch (parseError) {
+            return res.status(400).json({ error: 'columnMapping must be valid JSON.' });
+        }
+    }
+
+    try {
+        const jobId = await jobs.create({ userId: req.currentUser.uid, orgId: req.workspace.orgId, fileName: req.file.originalname });
+        runUploadJob(jobId, {
+            file: req.file,
+            uid: req.currentUser.uid,
+            orgId: req.workspace.orgId,
+            explicitMapping,
+            saveMapping: req.body.saveMapping === 'true',
+            sheet: req.body?.sheet,
+            region: req.body?.region || SUGGESTION_REGION
+        });
+        res.status(202).json({ jobId, status: 'queued' });
+    } catch (error) {
+        console.error("Error creating upload job:", error);
+        res.status(500).json({ error: 'Failed to start the analysis.' });
+    }
+});
+
+/**
+ * Server-Sent Events stream of a job's progress: one `progress` event with the
+ * current state, then one per change (stage, rows scored, suggestions completed)
+ * until the job completes or fails.
+ */
+app.get('/api/jobs/:id/events', requireRole('viewer', { scopes: ['read', 'upload'] }), async (req, res) => {
+    let job;
+    try {
+        job = await jobs.get(req.params.id);
+    } catch (dbError) {
+        console.error("Error fetching job:", dbError);
+        return res.status(500).json({ error: "Failed to fetch job status." });
+    }
+    if (!canSeeJob(job, req)) {
+        return res.status(404).json({ error: "Job not found." });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (state) => {
+        const { createdAt, updatedAt, instanceId, ...fields } = state;
+        res.write(`event: progress\ndata: ${JSON.stringify(fields)}\n\n`);
+    };
+    // Prefer the in-memory state: the stored document lags behind by up to a second.
+    const current = jobs.getLive(job.id) || job;
+    send(current);
+    if (isTerminal(current.status)) { return res.end(); }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const unsubscribe = jobs.subscribe(job.id, (state) => {
+        send(state);
+        if (isTerminal(state.status)) { cleanup(); res.end(); }
+    });
+    function cleanup() {
+        clearInterval(heartbeat);
+        unsubscribe();
+    }
+    req.on('close', cleanup);
+});
+
+app.get('/api/jobs/:id', requireRole('viewer', { scopes: ['read', 'upload'] }), async (req, res) => {
+    try {
+        const job = await jobs.get(req.params.id);
+        if (!canSeeJob(job, req)) {
+            return res.status(404).json({ error: "Job not found." });
+        }
+        const response = serializeJob(job);
+        // Hand back the finished analysis too, so clients need only one more request;
+        // like GET /api/analyses/:id, that needs the read scope when an API key asks.
+        const canRead = !req.apiKey || req.apiKey.scopes.includes('read');
+        if (job.status === 'completed' && job.analysisId && canRead) {
+            const owned = await getWorkspaceAnalysis(job.analysisId, req.workspace);
+            if (owned) { response.analysis = serializeAnalysis(owned.ref.id, owned.data); }
+        }
+        res.json(response);
+    } catch (dbError) {
+        console.error("Error fetching job:", dbError);
+        res.status(500).json({ error: "Failed to fetch job status." });
+    }
+});
+
+// Re-runs AI enrichment for whatever failed or never ran on a saved analysis.
+app.post('/api/analyses/:id/enrich', requireRole('analyst'), async (req, res) => {
+    try {
+        const owned = await getWorkspaceAnalysis(req.params.id, req.workspace);
+        if (!owned) { return res.status(404).json({ error: "Analysis not found." }); }
+        const { userId, createdAt, ...analysis } = owned.data;
+        const finalResult = await enrichAnalysis(owned.ref, analysis);
+        res.json(serializeAnalysis(owned.ref.id, { ...owned.data, ...finalResult }));
+    } catch (error) {
+        console.error("Error retrying AI enrichment:", error);
+        res.status(500).json({ error: "Failed to retry AI enrichment." });
+    }
+});
+
+// Full breakdown of one saved analysis: items, summary and suggestions.
+app.get('/api/analyses/:id', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    try {
+        const owned = await getWorkspaceAnalysis(req.params.id, req.workspace);
+        if (!owned) { return res.status(404).json({ error: "Analysis not found." }); }
+        res.json(serializeAnalysis(owned.ref.id, owned.data));
+    } catch (dbError) {
+        console.error("Error fetching analysis:", dbError);
+        res.status(500).json({ error: "Failed to fetch analysis." });
+    }
+});
+
+// Downloads an analysis as ?format=csv (original rows plus scores), json or pdf (formatted report).
+app.get('/api/analyses/:id/export', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!FORMATS[format]) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}.` });
+    }
+    try {
+        const owned = await getWorkspaceAnalysis(req.params.id, req.workspace);
+        if (!owned) { return res.status(404).json({ error: "Analysis not found." }); }
+        const analysis = serializeAnalysis(owned.ref.id, owned.data);
+        let body;
+        if (format === 'csv') { body = toCsv(analysis); }
+        else if (format === 'json') { body = toJson(analysis); }
+        else { body = await toPdf(analysis); }
+        res.attachment(exportFileName(analysis, format));
+        res.set('Content-Type', FORMATS[format].contentType);
+        res.send(body);
+    } catch (error) {
+        console.error("Error exporting analysis:", error);
+        res.status(500).json({ error: "Failed to export analysis." });
+    }
+});
+
+// Renames and annotates a saved analysis. Body: any of { name, notes, tags }.
+app.patch('/api/analyses/:id', requireRole('analyst'), async (req, res) => {
+    const { updates, problems } = parseAnnotationUpdate(req.body);
+    if (problems.length > 0) { return res.status(400).json({ error: problems.join(' '), problems }); }
+    try {
+        const owned = await getWorkspaceAnalysis(req.params.id, req.workspace);
+        if (!owned) { return res.status(404).json({ error: "Analysis not found." }); }
+        await owned.ref.update({ ...updates, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+        const updated = await owned.ref.get();
+        res.json(serializeAnalysis(updated.id, updated.data()));
+    } catch (dbError) {
+        console.error("Error updating analysis:", dbError);
+        res.status(500).json({ error: "Failed to update analysis." });
+    }
+});
+
+// Moves an analysis to the trash; it can be restored until purgeAt.
+app.delete('/api/analyses/:id', requireRole('analyst'), async (req, res) => {
+    try {
+        const owned = await getWorkspaceAnalysis(req.params.id, req.workspace);
+        if (!owned) { return res.status(404).json({ error: "Analysis not found." }); }
+        const purgeAt = admin.firestore.Timestamp.fromMillis(Date.now() + ANALYSIS_RESTORE_DAYS * 24 * 60 * 60 * 1000);
+        await owned.ref.update({ deletedAt: admin.firestore.FieldValue.serverTimestamp(), purgeAt });
+        res.json({ id: owned.ref.id, purgeAt: purgeAt.toDate().toISOString() });
+    } catch (dbError) {
+        console.error("Error deleting analysis:", dbError);
+        res.status(500).json({ error: "Failed to delete analysis." });
+    }
+});
+
+app.post('/api/analyses/:id/restore', requireRole('analyst'), async (req, res) => {
+    try {
+        const owned = await getWorkspaceAnalysis(req.params.id, req.workspace, { includeDeleted: true });
+        if (!owned) { return res.status(404).json({ error: "Analysis not found." }); }
+        if (!owned.data.deletedAt) { return res.status(409).json({ error: "Analysis is not deleted." }); }
+        if (owned.data.purgeAt && owned.data.purgeAt.toMillis() <= Date.now()) {
+            return res.status(410).json({ error: "The restore window for this analysis has passed." });
+        }
+        await owned.ref.update({
+            deletedAt: admin.firestore.FieldValue.delete(),
+            purgeAt: admin.firestore.FieldValue.delete()
+        });
+        const restored = await owned.ref.get();
+        res.json(serializeAnalysis(restored.id, restored.data()));
+    } catch (dbError) {
+        console.error("Error restoring analysis:", dbError);
+        res.status(500).json({ error: "Failed to restore analysis." });
+    }
+});
+
+// Diff of two of the user's analyses: ?base=<earlier id>&target=<later id>.
+app.get('/api/compare', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    const { base, target } = req.query;
+    if (!base || !target) { return res.status(400).json({ error: "Both base and target analysis ids are required." }); }
+    try {
+        const [baseAnalysis, targetAnalysis] = await Promise.all([
+            getWorkspaceAnalysis(String(base), req.workspace),
+            getWorkspaceAnalysis(String(target), req.workspace)
+        ]);
+        if (!baseAnalysis || !targetAnalysis) { return res.status(404).json({ error: "Analysis not found." }); }
+        const describe = ({ ref, data }) => {
+            const { id, fileName, name, createdAt } = serializeAnalysis(ref.id, data);
+            return { id, fileName, name: name ?? null, createdAt };
+        };
+        res.json({
+            base: describe(baseAnalysis),
+            target: describe(targetAnalysis),
+            ...compareAnalyses(baseAnalysis.data, targetAnalysis.data)
+        });
+    } catch (dbError) {
+        console.error("Error comparing analyses:", dbError);
+        res.status(500).json({ error: "Failed to compare analyses." });
+    }
+});
+
+// Score, spend and low-score share per ?period=week|month|quarter, plus the worst recurring products.
+app.get('/api/trends', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    const period = req.query.period || 'month';
+    const problems = PERIODS.includes(period) ? [] : [`period must be one of: ${PERIODS.join(', ')}.`];
+    const { from, to } = parseDateRange(req.query, problems);
+    if (problems.length > 0) { return res.status(400).json({ error: problems.join(' '), problems }); }
+    try {
+        const loaded = await loadWorkspaceAnalyses(req.workspace, ['items'], { from, to });
+        res.json({
+            ...buildTrends(loaded.analyses, { period }),
+            from: loaded.from.toISOString(),
+            truncated: loaded.truncated
+        });
+    } catch (dbError) {
+        console.error("Error building trends:", dbError);
+        res.status(500).json({ error: "Failed to build trends." });
+    }
+});
+
+// Scorecards for every supplier named in the user's analyses, biggest spend first.
+// ?from and ?to pick the date range (the last year by default).
+app.get('/api/suppliers', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    const problems = [];
+    const { from, to } = parseDateRange(req.query, problems);
+    if (problems.length > 0) { return res.status(400).json({ error: problems.join(' '), problems }); }
+    try {
+        const { analyses } = await loadWorkspaceAnalyses(req.workspace, ['items'], { from, to });
+        res.json(buildSupplierScorecards(analyses));
+    } catch (dbError) {
+        console.error("Error building supplier scorecards:", dbError);
+        res.status(500).json({ error: "Failed to build supplier scorecards." });
+    }
+});
+
+// One supplier's scorecard with its worst products and a ?period=week|month|quarter trend.
+app.get('/api/suppliers/:key', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    const period = req.query.period || 'month';
+    const problems = PERIODS.includes(period) ? [] : [`period must be one of: ${PERIODS.join(', ')}.`];
+    const { from, to } = parseDateRange(req.query, problems);
+    if (problems.length > 0) { return res.status(400).json({ error: problems.join(' '), problems }); }
     try {
-        const snapshot = await db.collection('analyses')
+        const { analyses } = await loadWorkspaceAnalyses(req.workspace, ['items'], { from, to });
+        const detail = buildSupplierDetail(analyses, req.params.key, { period });
+        if (!detail) { return res.status(404).json({ error: "Supplier not found." }); }
+        res.json(detail);
+    } catch (dbError) {
+        console.error("Error building supplier scorecard:", dbError);
+        res.status(500).json({ error: "Failed to build supplier scorecard." });
+    }
+});
+
+// Lightweight summaries only; fetch /api/analyses/:id for the items.
+// Paged with ?limit and ?cursor (the previous page's nextCursor); see lib/historyQuery.js for filters.
+// ?deleted=true lists the trash instead.
+app.get('/api/history', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    const { options, problems } = parseHistoryQuery(req.query);
+    if (problems.length > 0) { return res.status(400).json({ error: problems.join(' '), problems }); }
+    try {
+        res.json(await queryHistory(req.workspace, options));
+    } catch (dbError) {
+        if (dbError.status) { return res.status(dbError.status).json({ error: dbError.message }); }
+        console.error("Error fetching history:", dbError);
+        res.status(500).json({ error: "Failed to fetch analysis history." });
+    }
+});
+
+app.get('/api/column-mappings', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    try {
+        const snapshot = await db.collection('columnMappings')
             .where('userId', '==', req.currentUser.uid)
-            .orderBy('createdAt', 'desc')
             .get();
-        if (snapshot.empty) { return res.json([]); }
-        const history = snapshot.docs.map(doc => {
+        const mappings = snapshot.docs.map(doc => {
             const data = doc.data();
             return {
-                id: doc.id, ...data,
-                createdAt: data.createdAt.toDate().toISOString()
+                id: doc.id, headers: data.headers, mapping: data.mapping,
+                updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null
             };
         });
-        res.json(history);
+        res.json(mappings);
     } catch (dbError) {
-        console.error("Error fetching history:", dbError);
-        res.status(500).json({ error: "Failed to fetch analysis history." });
+        console.error("Error fetching column mappings:", dbError);
+        res.status(500).json({ error: "Failed to fetch column mappings." });
+    }
+});
+
+app.delete('/api/column-mappings/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const ref = db.collection('columnMappings').doc(req.params.id);
+        const doc = await ref.get();
+        if (!doc.exists || doc.data().userId !== req.currentUser.uid) {
+            return res.status(404).json({ error: "Column mapping not found." });
+        }
+        await ref.delete();
+        res.status(204).end();
+    } catch (dbError) {
+        console.error("Error deleting column mapping:", dbError);
+        res.status(500).json({ error: "Failed to delete column mapping." });
+    }
+});
+
+// Organizations: shared workspaces selected with the X-Org-Id header.
+app.post('/api/orgs', requireSignedIn, async (req, res) => {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 80) { return res.status(400).json({ error: "name is required (at most 80 characters)." }); }
+    try {
+        res.status(201).json(await orgs.create(name, req.currentUser));
+    } catch (dbError) {
+        console.error("Error creating organization:", dbError);
+        res.status(500).json({ error: "Failed to create organization." });
+    }
+});
+
+app.get('/api/orgs', requireSignedIn, async (req, res) => {
+    try {
+        res.json(await orgs.listForUser(req.currentUser.uid));
+    } catch (dbError) {
+        console.error("Error fetching organizations:", dbError);
+        res.status(500).json({ error: "Failed to fetch organizations." });
+    }
+});
+
+// Members of an organization; admins also see pending invites.
+app.get('/api/orgs/:orgId/members', requireOrgRole('viewer'), async (req, res) => {
+    try {
+        const [members, invites] = await Promise.all([
+            orgs.listMembers(req.params.orgId),
+            req.membership.role === 'admin' ? orgs.listInvites(req.params.orgId) : []
+        ]);
+        res.json({ members, invites });
+    } catch (dbError) {
+        console.error("Error fetching organization members:", dbError);
+        res.status(500).json({ error: "Failed to fetch organization members." });
+    }
+});
+
+// Invites an email address; the person joins by accepting while signed in with that address.
+app.post('/api/orgs/:orgId/invites', requireOrgRole('admin'), async (req, res) => {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim() : '';
+    const role = req.body?.role || 'viewer';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) { return res.status(400).json({ error: "A valid email is required." }); }
+    if (!isRole(role)) { return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}.` }); }
+    try {
+        res.status(201).json(await orgs.invite(req.params.orgId, { email, role }, req.currentUser.uid));
+    } catch (dbError) {
+        if (dbError.status) { return res.status(dbError.status).json({ error: dbError.message }); }
+        console.error("Error creating invite:", dbError);
+        res.status(500).json({ error: "Failed to create invite." });
+    }
+});
+
+app.delete('/api/orgs/:orgId/invites/:inviteId', requireOrgRole('admin'), async (req, res) => {
+    try {
+        await orgs.revokeInvite(req.params.orgId, req.params.inviteId);
+        res.status(204).end();
+    } catch (dbError) {
+        if (dbError.status) { return res.status(dbError.status).json({ error: dbError.message }); }
+        console.error("Error revoking invite:", dbError);
+        res.status(500).json({ error: "Failed to revoke invite." });
+    }
+});
+
+app.patch('/api/orgs/:orgId/members/:uid', requireOrgRole('admin'), async (req, res) => {
+    if (!isRole(req.body?.role)) { return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}.` }); }
+    try {
+        await orgs.setRole(req.params.orgId, req.params.uid, req.body.role);
+        res.json({ uid: req.params.uid, role: req.body.role });
+    } catch (dbError) {
+        if (dbError.status) { return res.status(dbError.status).json({ error: dbError.message }); }
+        console.error("Error changing member role:", dbError);
+        res.status(500).json({ error: "Failed to change member role." });
+    }
+});
+
+// Admins remove members; anyone may remove themselves (leave).
+app.delete('/api/orgs/:orgId/members/:uid', requireOrgRole('viewer'), async (req, res) => {
+    if (req.params.uid !== req.currentUser.uid && req.membership.role !== 'admin') {
+        return res.status(403).json({ error: "This requires the admin role in this organization." });
+    }
+    try {
+        await orgs.removeMember(req.params.orgId, req.params.uid);
+        res.status(204).end();
+    } catch (dbError) {
+        if (dbError.status) { return res.status(dbError.status).json({ error: dbError.message }); }
+        console.error("Error removing member:", dbError);
+        res.status(500).json({ error: "Failed to remove member." });
+    }
+});
+
+// Pending invites for the signed-in user's email address.
+app.get('/api/invites', requireSignedIn, async (req, res) => {
+    if (!req.currentUser.email) { return res.json([]); }
+    try {
+        res.json(await orgs.invitesForEmail(req.currentUser.email));
+    } catch (dbError) {
+        console.error("Error fetching invites:", dbError);
+        res.status(500).json({ error: "Failed to fetch invites." });
+    }
+});
+
+app.post('/api/invites/:inviteId/accept', requireSignedIn, async (req, res) => {
+    try {
+        res.json(await orgs.acceptInvite(req.params.inviteId, req.currentUser));
+    } catch (dbError) {
+        if (dbError.status) { return res.status(dbError.status).json({ error: dbError.message }); }
+        console.error("Error accepting invite:", dbError);
+        res.status(500).json({ error: "Failed to accept invite." });
+    }
+});
+
+// API keys for the current workspace. Managing them takes a signed-in admin; keys can't manage keys.
+app.get('/api/api-keys', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await apiKeys.list(req.workspace));
+    } catch (dbError) {
+        console.error("Error fetching API keys:", dbError);
+        res.status(500).json({ error: "Failed to fetch API keys." });
+    }
+});
+
+// The response holds the key itself; it can't be shown again.
+app.post('/api/api-keys', requireRole('admin'), async (req, res) => {
+    const { key, problems } = parseApiKeyRequest(req.body);
+    if (problems.length > 0) { return res.status(400).json({ error: problems.join(' '), problems }); }
+    try {
+        res.status(201).json(await apiKeys.create(key, req.workspace));
+    } catch (dbError) {
+        console.error("Error creating API key:", dbError);
+        res.status(500).json({ error: "Failed to create API key." });
+    }
+});
+
+app.delete('/api/api-keys/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!await apiKeys.revoke(req.params.id, req.workspace)) {
+            return res.status(404).json({ error: "API key not found." });
+        }
+        res.status(204).end();
+    } catch (dbError) {
+        console.error("Error revoking API key:", dbError);
+        res.status(500).json({ error: "Failed to revoke API key." });
+    }
+});
+
+// Policy rules of the current workspace: every member can read them, admins edit them.
+app.get('/api/policies', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    try {
+        res.json(await policyRules.list(req.workspace));
+    } catch (dbError) {
+        console.error("Error fetching policy rules:", dbError);
+        res.status(500).json({ error: "Failed to fetch policy rules." });
+    }
+});
+
+app.post('/api/policies', requireRole('admin'), async (req, res) => {
+    const { rule, problems } = parsePolicyRule(req.body);
+    if (problems.length > 0) { return res.status(400).json({ error: problems.join(' '), problems }); }
+    try {
+        res.status(201).json(await policyRules.create(rule, req.workspace));
+    } catch (dbError) {
+        console.error("Error creating policy rule:", dbError);
+        res.status(500).json({ error: "Failed to create policy rule." });
+    }
+});
+
+// Replaces a rule. Analyses already saved keep the violations found when they were uploaded.
+app.put('/api/policies/:id', requireRole('admin'), async (req, res) => {
+    const { rule, problems } = parsePolicyRule(req.body);
+    if (problems.length > 0) { return res.status(400).json({ error: problems.join(' '), problems }); }
+    try {
+        const updated = await policyRules.update(req.params.id, rule, req.workspace);
+        if (!updated) { return res.status(404).json({ error: "Policy rule not found." }); }
+        res.json(updated);
+    } catch (dbError) {
+        console.error("Error updating policy rule:", dbError);
+        res.status(500).json({ error: "Failed to update policy rule." });
+    }
+});
+
+app.delete('/api/policies/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!await policyRules.remove(req.params.id, req.workspace)) {
+            return res.status(404).json({ error: "Policy rule not found." });
+        }
+        res.status(204).end();
+    } catch (dbError) {
+        console.error("Error deleting policy rule:", dbError);
+        res.status(500).json({ error: "Failed to delete policy rule." });
+    }
+});
+
+// Webhooks of the current workspace, managed by its admins.
+app.get('/api/webhooks', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await webhooks.list(req.workspace));
+    } catch (dbError) {
+        console.error("Error fetching webhooks:", dbError);
+        res.status(500).json({ error: "Failed to fetch webhooks." });
+    }
+});
+
+// The response holds the signing secret; it can't be shown again.
+app.post('/api/webhooks', requireRole('admin'), async (req, res) => {
+    const { webhook, problems } = parseWebhookRequest(req.body, { allowPrivateUrls: WEBHOOK_ALLOW_PRIVATE_URLS });
+    if (problems.length > 0) { return res.status(400).json({ error: problems.join(' '), problems }); }
+    try {
+        res.status(201).json(await webhooks.create(webhook, req.workspace));
+    } catch (dbError) {
+        console.error("Error creating webhook:", dbError);
+        res.status(500).json({ error: "Failed to create webhook." });
+    }
+});
+
+app.delete('/api/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (!await webhooks.remove(req.params.id, req.workspace)) {
+            return res.status(404).json({ error: "Webhook not found." });
+        }
+        res.status(204).end();
+    } catch (dbError) {
+        console.error("Error deleting webhook:", dbError);
+        res.status(500).json({ error: "Failed to delete webhook." });
+    }
+});
+
+app.get('/api/webhooks/:id/deliveries', requireRole('admin'), async (req, res) => {
+    try {
+        const deliveries = await webhooks.deliveryLog(req.params.id, req.workspace);
+        if (!deliveries) { return res.status(404).json({ error: "Webhook not found." }); }
+        res.json(deliveries);
+    } catch (dbError) {
+        console.error("Error fetching webhook deliveries:", dbError);
+        res.status(500).json({ error: "Failed to fetch webhook deliveries." });
+    }
+});
+
+// Sends a `ping` event; its outcome shows up in the delivery log.
+app.post('/api/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+    try {
+        const deliveryId = await webhooks.ping(req.params.id, req.workspace);
+        if (!deliveryId) { return res.status(404).json({ error: "Webhook not found." }); }
+        res.status(202).json({ deliveryId });
+    } catch (dbError) {
+        console.error("Error sending test webhook:", dbError);
+        res.status(500).json({ error: "Failed to send test webhook." });
+    }
+});
+
+// Manual invalidation of cached AI answers, e.g. after a supplier catalogue changes.
+// ?product= limits it to one product's suggestions, ?region= to one region.
+app.delete('/api/suggestion-cache', requireSignedIn, async (req, res) => {
+    if (!isAdmin(req.currentUser)) { return res.status(403).json({ error: "Forbidden." }); }
+    try {
+        const deleted = await suggestionCache.invalidate({ product: req.query.product, region: req.query.region });
+        res.json({ deleted });
+    } catch (dbError) {
+        console.error("Error invalidating suggestion cache:", dbError);
+        res.status(500).json({ error: "Failed to invalidate suggestion cache." });
+    }
+});
+
+app.get('/api/rulesets/current', requireRole('viewer', { scopes: ['read'] }), (req, res) => {
+    const ruleset = getRuleset();
+    res.json({ version: ruleset.version, ...ruleset.source, contentHash: ruleset.contentHash });
+});
+
+app.get('/api/rulesets/:version', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    try {
+        const doc = await db.collection('rulesets').doc(req.params.version).get();
+        if (!doc.exists) { return res.status(404).json({ error: "Ruleset version not found." }); }
+        const { recordedAt, ...ruleset } = doc.data();
+        res.json({ ...ruleset, recordedAt: recordedAt ? recordedAt.toDate().toISOString() : null });
+    } catch (dbError) {
+        console.error("Error fetching ruleset:", dbError);
+        res.status(500).json({ error: "Failed to fetch ruleset." });
+    }
+});
+
+app.post('/api/rulesets/reload', requireSignedIn, (req, res) => {
+    if (!isAdmin(req.currentUser)) { return res.status(403).json({ error: "Forbidden." }); }
+    try {
+        const ruleset = loadRuleset();
+        res.json({ version: ruleset.version, rules: ruleset.rules.length });
+    } catch (err) {
+        console.error("Error reloading ruleset:", err);
+        res.status(400).json({ error: `Ruleset is invalid: ${err.message}` });
+    }
+});
+
+// Curated product catalog, shared by every workspace. Anyone signed in can
+// browse it (?q= filters by name, alias or category); only server admins edit it.
+app.get('/api/catalog', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    try {
+        const query = String(req.query.q || '').trim().toLowerCase();
+        const entries = await catalog.list();
+        res.json(query
+            ? entries.filter(entry => [entry.name, entry.category, ...entry.aliases]
+                .some(text => text && text.toLowerCase().includes(query)))
+            : entries);
+    } catch (dbError) {
+        console.error("Error fetching catalog:", dbError);
+        res.status(500).json({ error: "Failed to fetch catalog." });
+    }
+});
+
+app.get('/api/catalog/:id', requireRole('viewer', { scopes: ['read'] }), async (req, res) => {
+    try {
+        const entry = await catalog.get(req.params.id);
+        if (!entry) { return res.status(404).json({ error: "Catalog product not found." }); }
+        res.json(entry);
+    } catch (dbError) {
+        console.error("Error fetching catalog product:", dbError);
+        res.status(500).json({ error: "Failed to fetch catalog product." });
+    }
+});
+
+app.post('/api/catalog', requireSignedIn, async (req, res) => {
+    if (!isAdmin(req.currentUser)) { return res.status(403).json({ error: "Forbidden." }); }
+    const { entry, problems } = parseCatalogEntry(req.body);
+    if (problems.length > 0) { return res.status(400).json({ error: problems.join(' '), problems }); }
+    try {
+        res.status(201).json(await catalog.create(entry, req.currentUser.uid));
+    } catch (dbError) {
+        console.error("Error creating catalog product:", dbError);
+        res.status(500).json({ error: "Failed to create catalog product." });
+    }
+});
+
+// Replaces an entry. Analyses already saved keep the scores they were given.
+app.put('/api/catalog/:id', requireSignedIn, async (req, res) => {
+    if (!isAdmin(req.currentUser)) { return res.status(403).json({ error: "Forbidden." }); }
+    const { entry, problems } = parseCatalogEntry(req.body);
+    if (problems.length > 0) { return res.status(400).json({ error: problems.join(' '), problems }); }
+    try {
+        const updated = await catalog.update(req.params.id, entry);
+        if (!updated) { return res.status(404).json({ error: "Catalog product not found." }); }
+        res.json(updated);
+    } catch (dbError) {
+        console.error("Error updating catalog product:", dbError);
+        res.status(500).json({ error: "Failed to update catalog product." });
+    }
+});
+
+app.delete('/api/catalog/:id', requireSignedIn, async (req, res) => {
+    if (!isAdmin(req.currentUser)) { return res.status(403).json({ error: "Forbidden." }); }
+    try {
+        if (!await catalog.remove(req.params.id)) {
+            return res.status(404).json({ error: "Catalog product not found." });
+        }
+        res.status(204).end();
+    } catch (dbError) {
+        console.error("Error deleting catalog product:", dbError);
+        res.status(500).json({ error: "Failed to delete catalog product." });
     }
 });
 
 // 6. START THE SERVER
+// Empty the trash of analyses past their restore window, now and hourly.
+const runPurge = () => purgeDeletedAnalyses().catch(err => console.error('Purging deleted analyses failed:', err.message));
+runPurge();
+setInterval(runPurge, 60 * 60 * 1000).unref();
+// Fail upload jobs this instance left unfinished before a restart, and any job that
+// stops making progress, so clients waiting on them get an answer instead of polling forever.
+const STALE_JOB_MS = 30 * 60 * 1000;
+const failStaleJobs = () => jobs.failStale(STALE_JOB_MS)
+    .then(count => { if (count > 0) { console.log(`Marked ${count} interrupted upload job(s) as failed.`); } })
+    .catch(err => console.error('Failing stale upload jobs failed:', err.message));
+failStaleJobs();
+setInterval(failStaleJobs, 5 * 60 * 1000).unref();
+// Retry failed webhook deliveries whose backoff has elapsed.
+const runWebhookRetries = () => webhooks.retryDue().catch(err => console.error('Retrying webhook deliveries failed:', err.message));
+setInterval(runWebhookRetries, 15 * 1000).unref();
+
 app.listen(PORT, () => {
     console.log(`Server is running on http://localhost:${PORT}`);
 });
\ No newline at end of file
@@ -0,0 +1,152 @@
+// AI provider layer. Every provider exposes the same task-level methods, so the
+// upload pipeline doesn't care whether text comes from Gemini, OpenAI or the offline mock.
+
+// Bump whenever the prompts below change, so cached answers from old prompts are not reused.
+const PROMPT_VERSION = 2;
+
+const DEFAULT_MODELS = {
+    gemini: 'gemini-2.5-pro',
+    openai: 'gpt-4o-mini',
+    mock: 'mock-1',
+};
+
+function summaryPrompt(products) {
+    return `Based on this list of purchased items: ${JSON.stringify(products)}, write a 2-3 sentence summary of the environmental impact.`;
+}
+
+function alternativePrompt(product, region) {
+    return `Suggest one greener, sustainable alternative for "${product}" that is commonly available in ${region}.`;
+}
+
+// One structured prompt covering many products; the answer is parsed by parseBatchAnswer.
+function batchAlternativesPrompt(products, region) {
+    return [
+        `For each purchased product below, suggest one greener, sustainable alternative that is commonly available in ${region}.`,
+        'Respond with only a JSON array with one object per product, in the same order:',
+        '[{"product": "<product as given>", "suggestion": "<one or two sentences>"}]',
+        'Products:',
+        ...products.map((product, index) => `${index + 1}. ${product}`),
+    ].join('\n');
+}
+
+/**
+ * Extracts suggestions from a batch answer, aligned with `products`.
+ * Entries the model skipped or garbled come back as null so they can be retried alone.
+ */
+function parseBatchAnswer(text, products) {
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end <= start) { throw new Error('Batch answer contained no JSON array.'); }
+    const entries = JSON.parse(text.slice(start, end + 1));
+    if (!Array.isArray(entries)) { throw new Error('Batch answer was not a JSON array.'); }
+
+    return products.map((product, index) => {
+        const byName = entries.find(e => e && e.product === product);
+        const entry = byName || entries[index];
+        return entry && typeof entry.suggestion === 'string' && entry.suggestion.trim() ? entry.suggestion.trim() : null;
+    });
+}
+
+// Builds the task methods on top of a provider's raw text generation.
+function promptProvider(name, model, generateText) {
+    return {
+        name,
+        model,
+        generateText,
+        summarize: async (products) => (await generateText(summaryPrompt(products), { maxTokens: 200 })).trim(),
+        suggestAlternative: async (product, { region = 'India' } = {}) =>
+            (await generateText(alternativePrompt(product, region), { maxTokens: 120 })).trim(),
+        suggestAlternatives: async (products, { region = 'India' } = {}) => parseBatchAnswer(
+            await generateText(batchAlternativesPrompt(products, region), { maxTokens: 120 * products.length }),
+            products
+        ),
+    };
+}
+
+function createGeminiProvider(model) {
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const geminiModel = genAI.getGenerativeModel({ model });
+    return promptProvider('gemini', model, async (prompt) => {
+        const result = await geminiModel.generateContent(prompt);
+        return result.response.text();
+    });
+}
+
+function createOpenAIProvider(model) {
+    const { OpenAI } = require('openai');
+    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    return promptProvider('openai', model, async (prompt, { maxTokens } = {}) => {
+        const completion = await openai.chat.completions.create({
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            max_tokens: maxTokens,
+        });
+        return completion.choices[0].message.content;
+    });
+}
+
+// Canned alternatives for the offline provider, checked in order.
+const MOCK_ALTERNATIVES = [
+    [/\bcups?\b/i, 'Reusable stainless steel tumblers or certified compostable paper cups.'],
+    [/\b(masks?|gloves?)\b/i, 'Reusable, washable cotton alternatives from a local supplier.'],
+    [/\b(bottles?)\b/i, 'Refillable stainless steel bottles with a water dispenser.'],
+    [/\b(bags?)\b/i, 'Jute or cotton reusable bags made in India.'],
+    [/\b(cutlery|straws?|plates?)\b/i, 'Areca leaf or bagasse compostable tableware.'],
+    [/\bpaper\b/i, 'FSC-certified or 100% recycled paper.'],
+];
+
+/**
+ * Deterministic offline provider for development and tests: no network, no keys,
+ * and the same input always produces the same output.
+ */
+function createMockProvider(model) {
+    const provider = {
+        name: 'mock',
+        model,
+        generateText: async (prompt) => `[mock] ${prompt.slice(0, 120)}`,
+        summarize: async (products) => {
+            const flagged = products.filter(p => /plastic|disposable|single[- ]?use/i.test(String(p))).length;
+            return `This order contains ${products.length} line items, ${flagged} of which are disposable or plastic-based. `
+                + 'Replacing those with reusable or recycled-content options would have the largest environmental benefit.';
+        },
+        suggestAlternative: async (product, { region = 'India' } = {}) => {
+            const match = MOCK_ALTERNATIVES.find(([pattern]) => pattern.test(product));
+            return match ? match[1] : `Look for a recycled-content or locally made alternative to "${product}" available in ${region}.`;
+        },
+        suggestAlternatives: (products, options) => Promise.all(products.map(p => provider.suggestAlternative(p, options))),
+    };
+    return provider;
+}
+
+const FACTORIES = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider,
+};
+
+/**
+ * Creates the provider named by AI_PROVIDER. Without it, we use whichever API key
+ * is configured and fall back to the offline mock when there is none.
+ */
+function createAIProvider({
+    provider = process.env.AI_PROVIDER,
+    model = process.env.AI_MODEL,
+} = {}) {
+    let name = provider && provider.toLowerCase();
+    if (!name) {
+        if (process.env.GEMINI_API_KEY) { name = 'gemini'; }
+        else if (process.env.OPENAI_API_KEY) { name = 'openai'; }
+        else { name = 'mock'; }
+    }
+    const factory = FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown AI_PROVIDER "${provider}". Expected one of: ${Object.keys(FACTORIES).join(', ')}.`);
+    }
+    return factory(model || DEFAULT_MODELS[name]);
+}
+
+module.exports = {
+    PROMPT_VERSION,
+    createAIProvider,
+};
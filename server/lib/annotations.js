@@ -0,0 +1,65 @@
+// Validation for user-editable analysis fields: display name, notes and tags.
+
+const LIMITS = {
+    name: 120,
+    notes: 2000,
+    tag: 40,
+    tags: 20,
+};
+
+function normalizeTags(tags) {
+    const seen = new Set();
+    const result = [];
+    for (const tag of tags) {
+        const trimmed = String(tag).trim().replace(/\s+/g, ' ');
+        const key = trimmed.toLowerCase();
+        if (trimmed && !seen.has(key)) {
+            seen.add(key);
+            result.push(trimmed);
+        }
+    }
+    return result;
+}
+
+/**
+ * Picks the editable fields out of a PATCH body. Returns { updates, problems };
+ * `name` and `notes` may be null to clear them.
+ */
+function parseAnnotationUpdate(body = {}) {
+    const updates = {};
+    const problems = [];
+
+    for (const field of ['name', 'notes']) {
+        if (!(field in body)) continue;
+        const value = body[field];
+        if (value === null || (typeof value === 'string' && !value.trim())) {
+            updates[field] = null;
+        } else if (typeof value !== 'string') {
+            problems.push(`${field} must be a string.`);
+        } else if (value.trim().length > LIMITS[field]) {
+            problems.push(`${field} must be at most ${LIMITS[field]} characters.`);
+        } else {
+            updates[field] = value.trim();
+        }
+    }
+
+    if ('tags' in body) {
+        if (!Array.isArray(body.tags)) {
+            problems.push('tags must be an array of strings.');
+        } else {
+            const tags = normalizeTags(body.tags);
+            if (tags.length > LIMITS.tags) { problems.push(`At most ${LIMITS.tags} tags are allowed.`); }
+            if (tags.some(tag => tag.length > LIMITS.tag)) { problems.push(`Tags must be at most ${LIMITS.tag} characters.`); }
+            updates.tags = tags;
+        }
+    }
+
+    if (Object.keys(updates).length === 0 && problems.length === 0) {
+        problems.push('Nothing to update. Send name, notes or tags.');
+    }
+    return { updates, problems };
+}
+
+module.exports = {
+    parseAnnotationUpdate,
+};
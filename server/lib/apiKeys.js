@@ -0,0 +1,111 @@
+// API keys let other systems (e.g. an ERP export job) call the API without a
+// browser sign-in. Only a SHA-256 hash of each key is stored.
+const crypto = require('crypto');
+const { inWorkspace, toIso, workspaceFilter } = require('./records');
+
+const KEY_PREFIX = 'gpa_';
+// `read`: history, analyses, exports and reports. `upload`: POST /api/upload and its job status.
+const SCOPES = ['read', 'upload'];
+
+function isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Checks a create request; returns `{ key, problems }` where `key` holds the
+ * cleaned `name` and `scopes`.
+ */
+function parseApiKeyRequest(body) {
+    const problems = [];
+    const name = typeof body?.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 80) { problems.push('name is required (at most 80 characters).'); }
+    const scopes = Array.isArray(body?.scopes) ? [...new Set(body.scopes)] : [];
+    if (scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+        problems.push(`scopes must be a non-empty list of: ${SCOPES.join(', ')}.`);
+    }
+    return { key: { name, scopes }, problems };
+}
+
+function serializeKey(doc) {
+    const { name, prefix, scopes, orgId, createdBy, createdAt, lastUsedAt, revokedAt } = doc.data();
+    return {
+        id: doc.id,
+        name,
+        prefix,
+        scopes,
+        orgId: orgId || null,
+        createdBy,
+        createdAt: toIso(createdAt),
+        lastUsedAt: toIso(lastUsedAt),
+        revokedAt: toIso(revokedAt),
+    };
+}
+
+/**
+ * Creates the API key store. A key belongs to a workspace: a user's personal
+ * one (`orgId` null) or an organization, where it acts for the member who made it.
+ */
+function createApiKeyStore({ db, FieldValue }) {
+    const collection = db.collection('apiKeys');
+
+    return {
+        // Returns the new key in plain text; this is the only time it is available.
+        async create({ name, scopes }, workspace) {
+            const secret = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+            const ref = await collection.add({
+                name,
+                scopes,
+                hash: hashKey(secret),
+                prefix: secret.slice(0, KEY_PREFIX.length + 6),
+                userId: workspace.uid,
+                orgId: workspace.orgId,
+                createdBy: workspace.uid,
+                createdAt: FieldValue.serverTimestamp(),
+                lastUsedAt: null,
+                revokedAt: null,
+            });
+            return { ...serializeKey(await ref.get()), key: secret };
+        },
+
+        // Keys of a workspace, newest first, including revoked ones.
+        async list(workspace) {
+            const snapshot = await workspaceFilter(collection, workspace).get();
+            return snapshot.docs.map(serializeKey)
+                .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+        },
+
+        // Returns false when the key isn't in this workspace or is already revoked.
+        async revoke(id, workspace) {
+            const ref = collection.doc(id);
+            const doc = await ref.get();
+            const data = doc.exists ? doc.data() : null;
+            if (!data || data.revokedAt || !inWorkspace(data, workspace)) {
+                return false;
+            }
+            await ref.update({ revokedAt: FieldValue.serverTimestamp() });
+            return true;
+        },
+
+        // The active key matching `secret`, or null. Records when it was last used.
+        async verify(secret) {
+            const snapshot = await collection.where('hash', '==', hashKey(secret)).limit(1).get();
+            if (snapshot.empty || snapshot.docs[0].data().revokedAt) { return null; }
+            const doc = snapshot.docs[0];
+            doc.ref.update({ lastUsedAt: FieldValue.serverTimestamp() })
+                .catch(err => console.error('Could not record API key use:', err.message));
+            const { userId, orgId, scopes } = doc.data();
+            return { id: doc.id, userId, orgId: orgId || null, scopes };
+        },
+    };
+}
+
+module.exports = {
+    SCOPES,
+    createApiKeyStore,
+    isApiKey,
+    parseApiKeyRequest,
+};
@@ -0,0 +1,69 @@
+// Small async helpers for calling rate-limited external services.
+
+const DEFAULT_RETRIES = 3;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Rejects with a TimeoutError if `promise` hasn't settled within `ms`. The underlying call is not cancelled.
+function withTimeout(promise, ms, message = `Timed out after ${ms} ms`) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(message);
+            error.name = 'TimeoutError';
+            reject(error);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Calls `fn(attempt)` until it succeeds or `retries` extra attempts are used up,
+ * waiting baseDelayMs, 2×, 4×... (plus jitter) between attempts. Errors for which
+ * `shouldRetry(err)` is false are thrown straight away. A `retries` that isn't a
+ * non-negative number (e.g. NaN from a mistyped setting) counts as the default 3,
+ * so a failing call can't be retried forever.
+ */
+async function withRetry(fn, { retries = DEFAULT_RETRIES, baseDelayMs = 500, shouldRetry = () => true } = {}) {
+    const maxRetries = Number.isFinite(retries) && retries >= 0 ? Math.floor(retries) : DEFAULT_RETRIES;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            if (attempt >= maxRetries || !shouldRetry(err)) { throw err; }
+            await sleep(baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs);
+        }
+    }
+}
+
+// Like Promise.all(items.map(fn)) but with at most `concurrency` calls in flight.
+async function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+module.exports = {
+    chunk,
+    mapWithConcurrency,
+    sleep,
+    withRetry,
+    withTimeout,
+};
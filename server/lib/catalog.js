@@ -0,0 +1,226 @@
+// Curated product catalog: known products with certifications, an authoritative
+// green score and vetted alternatives. Uploaded rows are fuzzy-matched against it
+// before falling back to the keyword ruleset.
+const { stringList, toIso } = require('./records');
+const { normalizeProductName } = require('./text');
+
+const CERTIFICATIONS = ['FSC', 'Energy Star', 'BIS', 'Ecomark'];
+// How each certification is written in product names and certification columns.
+const CERTIFICATION_PATTERNS = {
+    'FSC': /\bfsc\b/i,
+    'Energy Star': /\benergy\s*star\b/i,
+    'BIS': /\b(bis|isi)\b/i,
+    'Ecomark': /\beco\s*-?\s*mark\b/i,
+};
+// Words that say which certification or packaging a row has, not what the product is.
+const IGNORED_TOKENS = new Set([
+    'fsc', 'energy', 'star', 'energystar', 'bis', 'isi', 'ecomark', 'eco', 'mark', 'certified', 'certification',
+    'marked', 'rated', 'the', 'and', 'for', 'with', 'of', 'pack', 'pcs', 'nos', 'set', 'box',
+]);
+const DEFAULT_MIN_CONFIDENCE = 0.75;
+
+/**
+ * Checks a catalog entry from a create or update request; returns `{ entry, problems }`.
+ * Certifications are matched case-insensitively and stored with their canonical spelling.
+ */
+function parseCatalogEntry(body) {
+    const problems = [];
+    const name = typeof body?.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 200) { problems.push('name is required (at most 200 characters).'); }
+    const greenScore = Number(body?.greenScore);
+    if (body?.greenScore === undefined || body?.greenScore === null || !Number.isInteger(greenScore)
+        || greenScore < 0 || greenScore > 100) {
+        problems.push('greenScore must be a whole number from 0 to 100.');
+    }
+    const certifications = [];
+    for (const certification of stringList(body?.certifications)) {
+        const known = CERTIFICATIONS.find(name => name.toLowerCase() === certification.toLowerCase());
+        if (known) {
+            certifications.push(known);
+        } else {
+            problems.push(`Unknown certification "${certification}". Expected one of: ${CERTIFICATIONS.join(', ')}.`);
+        }
+    }
+    const entry = {
+        name,
+        aliases: stringList(body?.aliases),
+        category: typeof body?.category === 'string' && body.category.trim() ? body.category.trim() : null,
+        certifications,
+        greenScore,
+        alternatives: stringList(body?.alternatives),
+        notes: typeof body?.notes === 'string' && body.notes.trim() ? body.notes.trim() : null,
+    };
+    if (entry.aliases.length > 20) { problems.push('At most 20 aliases are allowed.'); }
+    if (entry.alternatives.length > 10) { problems.push('At most 10 alternatives are allowed.'); }
+    return { entry, problems };
+}
+
+// Certifications a row claims, from its name and any certifications column.
+function detectCertifications(...texts) {
+    const text = texts.filter(Boolean).join(' ');
+    return CERTIFICATIONS.filter(certification => CERTIFICATION_PATTERNS[certification].test(text));
+}
+
+// "Copier Papers, A4 (FSC)" -> ["copier", "paper", "a4"]: normalized, singular, without certification words.
+function productTokens(name) {
+    return normalizeProductName(name)
+        .split(' ')
+        .filter(token => token && !IGNORED_TOKENS.has(token))
+        .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+// Character trigrams of the name with spaces removed, so "tubelight" and "tube light" look alike.
+function trigrams(tokens) {
+    const text = ` ${tokens.join('')} `;
+    const grams = new Set();
+    for (let index = 0; index < text.length - 2; index += 1) { grams.add(text.slice(index, index + 3)); }
+    return grams;
+}
+
+function dice(a, b) {
+    if (a.size === 0 || b.size === 0) { return 0; }
+    let shared = 0;
+    for (const value of a) { if (b.has(value)) { shared += 1; } }
+    return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Precomputes tokens for every entry name and alias, plus an inverted index so
+ * each row is only compared with entries sharing at least one word.
+ */
+function buildCatalogIndex(entries) {
+    const names = [];
+    const byToken = new Map();
+    for (const entry of entries) {
+        for (const name of [entry.name, ...(entry.aliases || [])]) {
+            const tokens = productTokens(name);
+            if (tokens.length === 0) continue;
+            const position = names.length;
+            names.push({ entry, tokens: new Set(tokens), grams: trigrams(tokens) });
+            for (const token of new Set(tokens)) {
+                byToken.set(token, [...(byToken.get(token) || []), position]);
+            }
+        }
+    }
+    return { names, byToken, size: entries.length };
+}
+
+/**
+ * How sure we are that `item` is `candidate`: word overlap blended with
+ * character similarity, or near-identical characters alone (typos, spacing),
+ * reduced when certifications or categories disagree. A certified entry only
+ * matches confidently when the row names the certification.
+ */
+function confidenceOf(candidate, { tokens, grams, certifications, category }) {
+    const similarity = dice(grams, candidate.grams);
+    let confidence = Math.max(0.6 * dice(tokens, candidate.tokens) + 0.4 * similarity, 0.9 * similarity);
+    const { entry } = candidate;
+    if (entry.certifications.length > 0) {
+        const shared = entry.certifications.filter(certification => certifications.includes(certification));
+        confidence *= shared.length > 0 ? 1 : 0.6;
+    }
+    if (certifications.some(certification => !entry.certifications.includes(certification))) { confidence *= 0.85; }
+    if (category && entry.category && category !== entry.category.toLowerCase()) { confidence *= 0.8; }
+    return confidence;
+}
+
+/**
+ * Best catalog entry for an uploaded row, or null when nothing reaches
+ * `minConfidence` (0-1). Returns `{ entry, confidence }`.
+ */
+function matchCatalog(index, item, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) {
+    if (!index || index.size === 0 || !item?.product) { return null; }
+    const tokenList = productTokens(item.product);
+    if (tokenList.length === 0) { return null; }
+    const row = {
+        tokens: new Set(tokenList),
+        grams: trigrams(tokenList),
+        certifications: detectCertifications(item.product, item.certifications),
+        category: item.category ? String(item.category).trim().toLowerCase() : null,
+    };
+
+    const candidates = new Set(tokenList.flatMap(token => index.byToken.get(token) || []));
+    let best = null;
+    for (const position of candidates) {
+        const candidate = index.names[position];
+        const confidence = confidenceOf(candidate, row);
+        if (!best || confidence > best.confidence) { best = { entry: candidate.entry, confidence }; }
+    }
+    if (!best || best.confidence < minConfidence) { return null; }
+    return { entry: best.entry, confidence: Math.round(best.confidence * 100) / 100 };
+}
+
+function serializeEntry(doc) {
+    const { createdAt, updatedAt, ...entry } = doc.data();
+    return { id: doc.id, ...entry, createdAt: toIso(createdAt), updatedAt: toIso(updatedAt) };
+}
+
+/**
+ * Creates the catalog store. The match index is rebuilt at most every
+ * `cacheMs`, and straight away after a change made through this store.
+ */
+function createCatalogStore({ db, FieldValue, cacheMs = 5 * 60 * 1000 }) {
+    const collection = db.collection('catalogProducts');
+    let cached = null;
+
+    async function list() {
+        const snapshot = await collection.get();
+        return snapshot.docs.map(serializeEntry).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    return {
+        list,
+
+        async get(id) {
+            const doc = await collection.doc(id).get();
+            return doc.exists ? serializeEntry(doc) : null;
+        },
+
+        async create(entry, createdBy) {
+            const ref = await collection.add({
+                ...entry,
+                createdBy,
+                createdAt: FieldValue.serverTimestamp(),
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            cached = null;
+            return serializeEntry(await ref.get());
+        },
+
+        // Replaces an entry; null when it doesn't exist.
+        async update(id, entry) {
+            const ref = collection.doc(id);
+            const doc = await ref.get();
+            if (!doc.exists) { return null; }
+            const { createdBy, createdAt } = doc.data();
+            await ref.set({ ...entry, createdBy, createdAt, updatedAt: FieldValue.serverTimestamp() });
+            cached = null;
+            return serializeEntry(await ref.get());
+        },
+
+        // Returns false when the entry doesn't exist.
+        async remove(id) {
+            const ref = collection.doc(id);
+            if (!(await ref.get()).exists) { return false; }
+            await ref.delete();
+            cached = null;
+            return true;
+        },
+
+        async getIndex() {
+            if (!cached || Date.now() - cached.loadedAt > cacheMs) {
+                cached = { index: buildCatalogIndex(await list()), loadedAt: Date.now() };
+            }
+            return cached.index;
+        },
+    };
+}
+
+module.exports = {
+    CERTIFICATIONS,
+    buildCatalogIndex,
+    createCatalogStore,
+    detectCertifications,
+    matchCatalog,
+    parseCatalogEntry,
+};
@@ -0,0 +1,97 @@
+// Header alias detection and column mapping for uploaded purchase orders.
+const crypto = require('crypto');
+
+// Canonical row fields and the header spellings ERP exports commonly use for them.
+const COLUMN_ALIASES = {
+    product: ['product', 'product name', 'item', 'item name', 'item description', 'description', 'material', 'material description', 'article'],
+    quantity: ['quantity', 'qty', 'order qty', 'ordered quantity', 'quantity ordered', 'units', 'no of units'],
+    price: ['price', 'unit price', 'unitprice', 'rate', 'unit rate', 'unit cost', 'cost per unit', 'price per unit'],
+    supplier: ['supplier', 'supplier name', 'vendor', 'vendor name', 'seller'],
+    category: ['category', 'product category', 'item category', 'commodity', 'commodity group', 'material group'],
+    currency: ['currency', 'currency code', 'curr'],
+    recycledContent: ['recycled content', 'recycled', 'recycled percent', 'recycled percentage', 'recycled pct', 'pcr content', 'post consumer recycled content'],
+    certifications: ['certifications', 'certification', 'certificate', 'certificates', 'eco label', 'ecolabel', 'eco labels', 'labels'],
+};
+
+const CANONICAL_FIELDS = Object.keys(COLUMN_ALIASES);
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Stable id for a set of headers, used to remember a user's mapping for recurring exports.
+function headerSignature(headers) {
+    const normalized = headers.map(normalizeHeader).sort().join('|');
+    return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 16);
+}
+
+/**
+ * Checks an explicit { canonicalField: headerName } mapping against the file's headers.
+ * Returns a list of problems; an empty list means the mapping is usable.
+ */
+function validateColumnMapping(mapping, headers) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return ['Column mapping must be an object of { field: header }.'];
+    }
+    const problems = [];
+    for (const [field, header] of Object.entries(mapping)) {
+        if (!CANONICAL_FIELDS.includes(field)) {
+            problems.push(`Unknown field "${field}". Expected one of: ${CANONICAL_FIELDS.join(', ')}.`);
+        } else if (!headers.includes(header)) {
+            problems.push(`Column "${header}" for "${field}" is not in the file.`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Resolves which header feeds each canonical field. Explicit mappings win;
+ * remaining fields are filled from the alias table.
+ */
+function resolveColumnMapping(headers, explicitMapping = {}) {
+    const mapping = { ...explicitMapping };
+    const used = new Set(Object.values(mapping));
+
+    for (const field of CANONICAL_FIELDS) {
+        if (mapping[field]) continue;
+        // Aliases are listed in order of preference, so "product" beats "description".
+        for (const alias of COLUMN_ALIASES[field]) {
+            const header = headers.find(h => !used.has(h) && normalizeHeader(h) === alias);
+            if (header !== undefined) {
+                mapping[field] = header;
+                used.add(header);
+                break;
+            }
+        }
+    }
+
+    return {
+        mapping,
+        unmappedColumns: headers.filter(h => !used.has(h)),
+    };
+}
+
+// Renames mapped columns to their canonical field; other columns are kept under a lowercased key.
+function applyColumnMapping(row, mapping) {
+    const sourceToField = Object.fromEntries(Object.entries(mapping).map(([field, header]) => [header, field]));
+    const normalized = {};
+    for (const [header, value] of Object.entries(row)) {
+        let key = sourceToField[header];
+        if (!key) {
+            key = header.toLowerCase();
+            // Don't let a leftover column shadow a canonical field mapped from elsewhere.
+            if (CANONICAL_FIELDS.includes(key)) { key = `original ${key}`; }
+        }
+        normalized[key] = typeof value === 'string' ? value.trim() : value;
+    }
+    return normalized;
+}
+
+module.exports = {
+    CANONICAL_FIELDS,
+    COLUMN_ALIASES,
+    applyColumnMapping,
+    headerSignature,
+    resolveColumnMapping,
+    validateColumnMapping,
+};
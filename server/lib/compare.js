@@ -0,0 +1,83 @@
+// Line-by-line comparison of two analyses, e.g. last month's PO against this month's.
+const { itemQuantity } = require('./metrics');
+const { normalizeProductName } = require('./text');
+
+const SCORE_FIELDS = ['averageScore', 'quantityWeightedScore', 'spendWeightedScore'];
+
+// Rows with the same normalized product are one line: quantities add up, scores average.
+function groupByProduct(items) {
+    const groups = new Map();
+    for (const item of items) {
+        const key = normalizeProductName(item.product);
+        const group = groups.get(key) || { product: item.product, rows: 0, scoreTotal: 0, quantity: null };
+        group.rows += 1;
+        group.scoreTotal += item.greenScore;
+        const quantity = itemQuantity(item);
+        if (quantity !== null) { group.quantity = (group.quantity ?? 0) + quantity; }
+        groups.set(key, group);
+    }
+    const lines = new Map();
+    for (const [key, group] of groups) {
+        lines.set(key, {
+            product: group.product,
+            quantity: group.quantity,
+            greenScore: Math.round(group.scoreTotal / group.rows),
+        });
+    }
+    return lines;
+}
+
+function delta(before, after) {
+    return before === null || before === undefined || after === null || after === undefined ? null : after - before;
+}
+
+function compareLine(key, base, target) {
+    if (!base) {
+        return { key, product: target.product, status: 'added', base: null, target, quantityDelta: null, scoreDelta: null };
+    }
+    if (!target) {
+        return { key, product: base.product, status: 'removed', base, target: null, quantityDelta: null, scoreDelta: null };
+    }
+    const quantityDelta = delta(base.quantity, target.quantity);
+    const scoreDelta = target.greenScore - base.greenScore;
+    const status = base.quantity !== target.quantity ? 'changed' : 'unchanged';
+    return { key, product: target.product, status, base, target, quantityDelta, scoreDelta };
+}
+
+/**
+ * Compares `base` (the earlier analysis) with `target`. Items are matched by
+ * normalized product name and reported as added, removed, changed (quantity
+ * differs) or unchanged, each with its score delta. A `regression` is a
+ * matched item whose score went down.
+ */
+function compareAnalyses(base, target) {
+    const baseLines = groupByProduct(base.items || []);
+    const targetLines = groupByProduct(target.items || []);
+    const keys = new Set([...baseLines.keys(), ...targetLines.keys()]);
+
+    const items = [...keys].map(key => {
+        const line = compareLine(key, baseLines.get(key), targetLines.get(key));
+        return { ...line, regression: line.scoreDelta !== null && line.scoreDelta < 0 };
+    });
+    const order = { removed: 0, added: 1, changed: 2, unchanged: 3 };
+    items.sort((a, b) => order[a.status] - order[b.status] || (a.scoreDelta ?? 0) - (b.scoreDelta ?? 0));
+
+    const scores = {};
+    for (const field of SCORE_FIELDS) {
+        const before = base[field] ?? null;
+        const after = target[field] ?? null;
+        scores[field] = { base: before, target: after, delta: delta(before, after) };
+    }
+
+    const counts = { added: 0, removed: 0, changed: 0, unchanged: 0, regressions: 0 };
+    for (const item of items) {
+        counts[item.status] += 1;
+        if (item.regression) { counts.regressions += 1; }
+    }
+
+    return { scores, counts, items };
+}
+
+module.exports = {
+    compareAnalyses,
+};
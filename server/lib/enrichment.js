@@ -0,0 +1,172 @@
+// AI enrichment of scored line items: an order summary plus alternatives for low scorers.
+const { chunk, mapWithConcurrency, withRetry, withTimeout } = require('./async');
+const { normalizeProductName } = require('./text');
+
+const LOW_SCORE_THRESHOLD = 40;
+
+// Timeouts already waited the whole budget, and client errors (bad key, bad request)
+// won't change on a second try; rate limits and server errors might.
+function isRetryable(err) {
+    if (err.name === 'TimeoutError') { return false; }
+    const status = err.status ?? err.response?.status;
+    return !(status >= 400 && status < 500 && status !== 408 && status !== 429);
+}
+
+/**
+ * Creates an enricher bound to an AI provider and suggestion cache.
+ * Suggestions are generated in batches (one prompt per `batchSize` products),
+ * at most `concurrency` calls at a time, each retried with exponential backoff
+ * unless it timed out or was refused. A batch that fails falls back to one call
+ * per product (up to `concurrency` at a time per batch), so a single bad product only
+ * fails itself; a refused batch fails all its products straight away.
+ */
+function createEnricher({ aiProvider, suggestionCache, batchSize, concurrency, retries, itemTimeoutMs }) {
+    const aiSource = { provider: aiProvider.name, model: aiProvider.model };
+    const call = (fn, timeoutMs) => withRetry(() => withTimeout(fn(), timeoutMs), { retries, shouldRetry: isRetryable });
+    // The cache is an optimisation; if it's unavailable we just call the provider.
+    const cacheFailed = (err) => {
+        console.error('Suggestion cache unavailable:', err.message);
+        return null;
+    };
+
+    async function suggestOne(product, region) {
+        try {
+            const suggestion = await call(() => aiProvider.suggestAlternative(product, { region }), itemTimeoutMs);
+            return { suggestion };
+        } catch (err) {
+            return { error: err.message };
+        }
+    }
+
+    async function suggestBatch(products, region) {
+        let answers;
+        try {
+            answers = await call(() => aiProvider.suggestAlternatives(products, { region }), itemTimeoutMs * products.length);
+        } catch (err) {
+            if (err.name !== 'TimeoutError' && !isRetryable(err)) {
+                console.error(`Batch of ${products.length} suggestions was refused:`, err.message);
+                return products.map(() => ({ error: err.message }));
+            }
+            console.error(`Batch of ${products.length} suggestions failed, retrying one by one:`, err.message);
+            answers = products.map(() => null);
+        }
+        return mapWithConcurrency(products, concurrency, (product, index) => (
+            answers[index] ? { suggestion: answers[index] } : suggestOne(product, region)
+        ));
+    }
+
+    /**
+     * Returns Map<normalizedName, { suggestion, suggestionSource } | { error }>
+     * for the given product names, using the cache first. `onProgress` is called
+     * with { suggestionsTotal, suggestionsCompleted } as distinct products finish.
+     */
+    async function suggestAlternatives(products, region, onProgress = () => {}) {
+        const byName = new Map();
+        for (const product of products) {
+            const key = normalizeProductName(product);
+            if (!byName.has(key)) { byName.set(key, product); }
+        }
+
+        const results = new Map();
+        const misses = [];
+        let completed = 0;
+        const report = (count) => {
+            completed += count;
+            onProgress({ suggestionsTotal: byName.size, suggestionsCompleted: completed });
+        };
+        report(0);
+        const cached = await suggestionCache.getSuggestions([...byName.values()], region).catch(cacheFailed) || new Map();
+        for (const [key, product] of byName) {
+            if (cached.has(key)) {
+                results.set(key, { suggestion: cached.get(key), suggestionSource: 'cache' });
+            } else {
+                misses.push(product);
+            }
+        }
+
+        report(results.size);
+
+        const batches = chunk(misses, batchSize);
+        const answers = (await mapWithConcurrency(batches, concurrency, async (batch) => {
+            const batchAnswers = await suggestBatch(batch, region);
+            report(batch.length);
+            return batchAnswers;
+        })).flat();
+        await Promise.all(misses.map(async (product, index) => {
+            const answer = answers[index];
+            if (answer.suggestion) {
+                await suggestionCache.setSuggestion(product, region, answer.suggestion, aiSource).catch(cacheFailed);
+                results.set(normalizeProductName(product), { suggestion: answer.suggestion, suggestionSource: 'fresh' });
+            } else {
+                results.set(normalizeProductName(product), { error: answer.error });
+            }
+        }));
+        return results;
+    }
+
+    async function summarize(products, region) {
+        const cached = await suggestionCache.getSummary(products, region).catch(cacheFailed);
+        if (cached) { return { summary: cached, summarySource: 'cache' }; }
+        const summary = await call(() => aiProvider.summarize(products), itemTimeoutMs);
+        await suggestionCache.setSummary(products, region, summary, aiSource).catch(cacheFailed);
+        return { summary, summarySource: 'fresh' };
+    }
+
+    /**
+     * Adds `suggestion`/`suggestionSource` to low-scoring items in place and
+     * produces the order summary. Never throws: failures are recorded as
+     * `summaryStatus`/`suggestionStatus` = 'failed' so the deterministic scores
+     * can always be saved, and enrichment retried later. Items whose suggestion
+     * is already complete are skipped, as is the summary when `includeSummary` is false.
+     */
+    async function enrich(items, { region, includeSummary = true, onProgress }) {
+        const result = {};
+        if (includeSummary) {
+            try {
+                Object.assign(result, await summarize(items.map(i => i.product), region), { summaryStatus: 'complete', summaryError: null });
+            } catch (err) {
+                console.error('AI summary failed:', err.message);
+                Object.assign(result, { summary: null, summarySource: null, summaryStatus: 'failed', summaryError: err.message });
+            }
+        }
+
+        const pendingItems = items.filter(item => item.greenScore < LOW_SCORE_THRESHOLD && item.suggestionStatus !== 'complete');
+        const suggestions = await suggestAlternatives(pendingItems.map(i => i.product), region, onProgress);
+        for (const item of pendingItems) {
+            const suggestion = suggestions.get(normalizeProductName(item.product));
+            if (suggestion.error) {
+                Object.assign(item, { suggestionStatus: 'failed', suggestionError: suggestion.error });
+            } else {
+                Object.assign(item, suggestion, { suggestionStatus: 'complete', suggestionError: null });
+            }
+        }
+
+        return result;
+    }
+
+    return { enrich, suggestAlternatives, summarize };
+}
+
+// Overall AI state of an analysis: 'pending', 'complete', 'failed' (nothing worked) or 'partial'.
+function aiStatusOf(analysis) {
+    const statuses = [analysis.summaryStatus, ...analysis.items.map(i => i.suggestionStatus).filter(Boolean)];
+    if (statuses.includes('pending')) { return 'pending'; }
+    if (statuses.every(status => status === 'complete')) { return 'complete'; }
+    if (statuses.every(status => status === 'failed')) { return 'failed'; }
+    return 'partial';
+}
+
+// Marks what still needs AI text before enrichment runs, so a saved-but-unenriched analysis says so.
+// Items that already have a suggestion (vetted catalog alternatives) are left as they are.
+function markPending(items) {
+    for (const item of items) {
+        if (item.greenScore < LOW_SCORE_THRESHOLD && item.suggestionStatus !== 'complete') { item.suggestionStatus = 'pending'; }
+    }
+}
+
+module.exports = {
+    LOW_SCORE_THRESHOLD,
+    aiStatusOf,
+    createEnricher,
+    markPending,
+};
@@ -0,0 +1,176 @@
+// Downloadable reports for a saved analysis: CSV of the original rows with scores, JSON, and a PDF summary.
+const PDFDocument = require('pdfkit');
+const { itemQuantity } = require('./metrics');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+// Item fields added by the server rather than read from the upload.
+const COMPUTED_FIELDS = [
+    'greenScore', 'scoreSource', 'catalogMatch', 'matchedRules', 'footprintKgCO2e', 'emissionCategory', 'footprintMethod',
+    'suggestion', 'suggestionSource', 'suggestionStatus', 'suggestionError',
+];
+
+// "Q3 Office Supplies.xlsx" -> "Q3-Office-Supplies-green-report.pdf"
+function exportFileName(analysis, format) {
+    const base = String(analysis.name || analysis.fileName || 'analysis')
+        .replace(/\.(csv|xlsx|json)$/i, '')
+        .replace(/[^\w.-]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'analysis';
+    return `${base}-green-report.${FORMATS[format].extension}`;
+}
+
+// Lists become "a; b"; objects (e.g. nested fields in JSON uploads) are written as JSON.
+function cellText(value) {
+    if (value === undefined || value === null) { return ''; }
+    if (Array.isArray(value)) { return value.map(cellText).join('; '); }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function csvCell(value) {
+    let text = cellText(value);
+    // Keep spreadsheet apps from evaluating cells that look like formulas.
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) { text = `'${text}`; }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The uploaded rows under their original headers (as far as the column mapping
+ * records them), followed by greenScore, footprint and suggestion columns.
+ */
+function toCsv(analysis) {
+    const items = analysis.items || [];
+    const mapping = analysis.columnMapping || {};
+    const columns = Object.entries(mapping).map(([field, header]) => ({ key: field, header }));
+    const known = new Set([...columns.map(column => column.key), ...COMPUTED_FIELDS]);
+    for (const item of items) {
+        for (const key of Object.keys(item)) {
+            if (!known.has(key)) {
+                known.add(key);
+                columns.push({ key, header: key });
+            }
+        }
+    }
+    columns.push(
+        { key: 'greenScore', header: 'greenScore' },
+        { key: 'scoreSource', header: 'scoreSource' },
+        { key: 'footprintKgCO2e', header: 'footprintKgCO2e' },
+        { key: 'suggestion', header: 'suggestion' }
+    );
+
+    const lines = [columns.map(column => csvCell(column.header)).join(',')];
+    for (const item of items) {
+        lines.push(columns.map(column => csvCell(item[column.key])).join(','));
+    }
+    // The BOM makes Excel read the file as UTF-8 (₹, accented supplier names).
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+function toJson(analysis) {
+    return JSON.stringify(analysis, null, 2);
+}
+
+function formatNumber(value, digits = 2) {
+    if (value === null || value === undefined) { return 'n/a'; }
+    return Number(value).toLocaleString('en-IN', { maximumFractionDigits: digits });
+}
+
+const TABLE_COLUMNS = [
+    { header: 'Product', width: 150, value: item => item.product },
+    { header: 'Qty', width: 45, align: 'right', value: item => formatNumber(itemQuantity(item)) },
+    { header: 'Score', width: 40, align: 'right', value: item => String(item.greenScore) },
+    { header: 'kgCO2e', width: 55, align: 'right', value: item => formatNumber(item.footprintKgCO2e) },
+    { header: 'Suggestion', width: 205, value: item => item.suggestion || '' },
+];
+const COLUMN_GAP = 5;
+
+function drawTableRow(doc, cells, { bold = false } = {}) {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const height = Math.max(...TABLE_COLUMNS.map((column, index) =>
+        doc.heightOfString(cells[index], { width: column.width })));
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        if (!bold) { drawTableRow(doc, TABLE_COLUMNS.map(column => column.header), { bold: true }); }
+        doc.font('Helvetica').fontSize(8);
+    }
+    const top = doc.y;
+    let x = doc.page.margins.left;
+    TABLE_COLUMNS.forEach((column, index) => {
+        doc.text(cells[index], x, top, { width: column.width, align: column.align || 'left' });
+        x += column.width + COLUMN_GAP;
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = top + height + 4;
+}
+
+/**
+ * A printable report: header, score breakdown, AI summary and the item table.
+ * Resolves with the whole PDF so a rendering error can still become a JSON error response.
+ */
+function toPdf(analysis) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: 'Green Procurement Report' } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.font('Helvetica-Bold').fontSize(18).text('Green Procurement Report');
+        doc.font('Helvetica').fontSize(10).fillColor('#555555')
+            .text([analysis.name, analysis.fileName].filter(Boolean).join(' · '))
+            .text(`Analyzed ${analysis.createdAt ? new Date(analysis.createdAt).toLocaleString('en-IN') : 'n/a'}`
+                + ` · Ruleset ${analysis.rulesetVersion || 'n/a'}`);
+        doc.fillColor('#000000').moveDown();
+
+        doc.font('Helvetica-Bold').fontSize(12).text('Score Breakdown');
+        doc.font('Helvetica').fontSize(10);
+        [
+            ['Average green score', `${analysis.averageScore}/100`],
+            ['Quantity-weighted score', formatNumber(analysis.quantityWeightedScore, 0)],
+            ['Spend-weighted score', formatNumber(analysis.spendWeightedScore, 0)],
+            ['Items analyzed', String(analysis.itemCount ?? (analysis.items || []).length)],
+            ['Total spend', formatNumber(analysis.totalSpend)],
+            ['Estimated footprint (kgCO2e)', formatNumber(analysis.totalFootprintKgCO2e)],
+        ].forEach(([label, value]) => doc.text(`${label}: ${value}`));
+        doc.moveDown();
+
+        if (analysis.summary) {
+            doc.font('Helvetica-Bold').fontSize(12).text('Summary');
+            doc.font('Helvetica').fontSize(10).text(analysis.summary);
+            doc.moveDown();
+        }
+
+        const violations = analysis.violations || [];
+        if (violations.length > 0) {
+            const total = analysis.violationCounts?.total ?? violations.length;
+            doc.font('Helvetica-Bold').fontSize(12).text(`Policy Violations (${total})`);
+            doc.font('Helvetica').fontSize(9);
+            for (const violation of violations) {
+                const where = violation.line ? `line ${violation.line}` : `item ${violation.itemIndex + 1}`;
+                doc.text(`[${violation.severity.toUpperCase()}] ${violation.ruleName} (${where}): ${violation.message}`);
+            }
+            if (total > violations.length) { doc.text(`...and ${total - violations.length} more.`); }
+            doc.moveDown();
+        }
+
+        doc.font('Helvetica-Bold').fontSize(12).text('Items');
+        doc.moveDown(0.5);
+        drawTableRow(doc, TABLE_COLUMNS.map(column => column.header), { bold: true });
+        for (const item of analysis.items || []) {
+            drawTableRow(doc, TABLE_COLUMNS.map(column => String(column.value(item) ?? '')));
+        }
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    FORMATS,
+    exportFileName,
+    toCsv,
+    toJson,
+    toPdf,
+};
@@ -0,0 +1,57 @@
+// Carbon footprint estimation from the bundled emission factor table.
+const factorTable = require('../data/emission-factors.json');
+const { termPattern } = require('./text');
+const { itemQuantity, itemSpend } = require('./metrics');
+
+const categories = factorTable.categories.map(category => ({
+    ...category,
+    matcher: termPattern(category.terms),
+}));
+
+/**
+ * Maps a row to the first factor category whose terms appear in its product
+ * name or category column, falling back to the spend-based default.
+ */
+function matchFactorCategory(item) {
+    const text = [item.product, item.category].filter(Boolean).join(' ');
+    return categories.find(category => category.matcher.test(text)) || factorTable.default;
+}
+
+/**
+ * Estimates kgCO2e for one row. Per-unit factors are used when a quantity is
+ * known; otherwise spend-based factors are used when a price is known.
+ * Rows with neither get a null footprint rather than a guess.
+ */
+function estimateFootprint(item) {
+    const category = matchFactorCategory(item);
+    const quantity = itemQuantity(item);
+    const spend = itemSpend(item);
+
+    let kgCO2e = null;
+    let method = null;
+    if (quantity !== null && category.perUnit !== undefined) {
+        kgCO2e = quantity * category.perUnit;
+        method = 'quantity';
+    } else if (spend !== null && category.perSpend !== undefined) {
+        kgCO2e = spend * category.perSpend;
+        method = 'spend';
+    }
+
+    return {
+        footprintKgCO2e: kgCO2e === null ? null : Math.round(kgCO2e * 100) / 100,
+        emissionCategory: category.id,
+        footprintMethod: method,
+    };
+}
+
+function totalFootprint(items) {
+    const total = items.reduce((acc, item) => acc + (item.footprintKgCO2e || 0), 0);
+    return Math.round(total * 100) / 100;
+}
+
+module.exports = {
+    EMISSION_FACTORS_VERSION: factorTable.version,
+    estimateFootprint,
+    matchFactorCategory,
+    totalFootprint,
+};
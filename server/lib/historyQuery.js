@@ -0,0 +1,97 @@
+// Query-string filters for /api/history. Date range is applied in the Firestore
+// query; the rest is matched in memory because Firestore can't do substring search
+// and only allows range filters on the field it orders by.
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function parseDate(value, label, problems, { endOfDay = false } = {}) {
+    if (value === undefined || value === '') { return null; }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        problems.push(`${label} must be a date, e.g. 2024-01-31.`);
+        return null;
+    }
+    // A bare date for `to` means "through the end of that day".
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) { date.setUTCHours(23, 59, 59, 999); }
+    return date;
+}
+
+function parseScore(value, label, problems) {
+    if (value === undefined || value === '') { return null; }
+    const score = Number(value);
+    if (!Number.isFinite(score) || score < 0 || score > 100) {
+        problems.push(`${label} must be a number from 0 to 100.`);
+        return null;
+    }
+    return score;
+}
+
+function asList(value) {
+    if (value === undefined) { return []; }
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(entry => String(entry).trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// `from` and `to` query parameters as Dates; shared with the trends endpoint.
+function parseDateRange(query, problems) {
+    const from = parseDate(query.from, 'from', problems);
+    const to = parseDate(query.to, 'to', problems, { endOfDay: true });
+    if (from && to && from > to) { problems.push('from must be before to.'); }
+    return { from, to };
+}
+
+/**
+ * Reads paging and filter options from req.query:
+ * limit, cursor, deleted, from, to, minScore, maxScore, tags (comma-separated, any match) and q.
+ * Returns { options, problems }.
+ */
+function parseHistoryQuery(query = {}) {
+    const problems = [];
+    let limit = DEFAULT_PAGE_SIZE;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            problems.push(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}.`);
+            limit = DEFAULT_PAGE_SIZE;
+        }
+    }
+
+    const options = {
+        limit,
+        cursor: query.cursor ? String(query.cursor) : null,
+        deleted: query.deleted === 'true',
+        ...parseDateRange(query, problems),
+        minScore: parseScore(query.minScore, 'minScore', problems),
+        maxScore: parseScore(query.maxScore, 'maxScore', problems),
+        tags: asList(query.tags ?? query.tag),
+        search: query.q ? String(query.q).trim().toLowerCase() : '',
+    };
+    if (options.minScore !== null && options.maxScore !== null && options.minScore > options.maxScore) {
+        problems.push('minScore must not be greater than maxScore.');
+    }
+    return { options, problems };
+}
+
+// The in-memory part of the filter, applied to a raw analysis document.
+function matchesHistoryFilters(data, options) {
+    if (Boolean(data.deletedAt) !== options.deleted) { return false; }
+    if (options.minScore !== null && !(data.averageScore >= options.minScore)) { return false; }
+    if (options.maxScore !== null && !(data.averageScore <= options.maxScore)) { return false; }
+    if (options.tags.length > 0) {
+        const tags = (data.tags || []).map(tag => tag.toLowerCase());
+        if (!options.tags.some(tag => tags.includes(tag))) { return false; }
+    }
+    if (options.search) {
+        const haystack = `${data.name || ''} ${data.fileName || ''}`.toLowerCase();
+        if (!haystack.includes(options.search)) { return false; }
+    }
+    return true;
+}
+
+module.exports = {
+    matchesHistoryFilters,
+    parseDateRange,
+    parseHistoryQuery,
+};
@@ -0,0 +1,150 @@
+// Status records for background analysis jobs: persisted in Firestore, with
+// live progress published in-process for streaming to clients.
+const { EventEmitter } = require('events');
+
+const COLLECTION = 'jobs';
+const TERMINAL_STATUSES = ['completed', 'failed'];
+const PERSIST_INTERVAL_MS = 1000;
+// How long finished jobs stay in memory for late subscribers.
+const LIVE_RETENTION_MS = 60 * 1000;
+const INTERRUPTED_ERROR = 'The upload was interrupted, e.g. by a server restart. Please upload the file again.';
+
+function isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+}
+
+/**
+ * Creates a job store bound to a Firestore instance. A job moves from
+ * 'queued' to 'running' (with a `stage`) and ends 'completed' or 'failed'.
+ * Every change is published to subscribers of that job. Jobs record the
+ * `instanceId` of the server that runs them, which should stay the same
+ * across restarts of one instance and differ between instances.
+ */
+function createJobStore({ db, FieldValue, instanceId }) {
+    const collection = db.collection(COLLECTION);
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+    const live = new Map(); // jobId -> { state, lastPersisted }
+
+    function publish(jobId, fields) {
+        const entry = live.get(jobId) || { state: { id: jobId }, lastPersisted: 0 };
+        entry.state = { ...entry.state, ...fields };
+        live.set(jobId, entry);
+        events.emit(jobId, entry.state);
+        if (isTerminal(entry.state.status)) {
+            setTimeout(() => live.delete(jobId), LIVE_RETENTION_MS).unref();
+        }
+        return entry;
+    }
+
+    async function persist(jobId, fields) {
+        await collection.doc(jobId).update({ ...fields, updatedAt: FieldValue.serverTimestamp() });
+    }
+
+    return {
+        async create(fields) {
+            const initial = {
+                status: 'queued',
+                stage: null,
+                rowsTotal: null,
+                rowsProcessed: 0,
+                suggestionsTotal: null,
+                suggestionsCompleted: 0,
+                analysisId: null,
+                error: null,
+                ...fields,
+            };
+            const ref = await collection.add({
+                ...initial,
+                instanceId,
+                createdAt: FieldValue.serverTimestamp(),
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            publish(ref.id, initial);
+            return ref.id;
+        },
+
+        // Stage and status changes: published and persisted immediately, along with
+        // any counters that progress() hasn't written yet.
+        async update(jobId, fields) {
+            const entry = publish(jobId, fields);
+            entry.lastPersisted = Date.now();
+            await persist(jobId, withoutId(entry.state));
+        },
+
+        // Counters that change often: published immediately, persisted at most once a second
+        // because Firestore dislikes rapid writes to one document.
+        async progress(jobId, fields) {
+            const entry = publish(jobId, fields);
+            if (Date.now() - entry.lastPersisted >= PERSIST_INTERVAL_MS) {
+                entry.lastPersisted = Date.now();
+                await persist(jobId, fields);
+            }
+        },
+
+        async get(jobId) {
+            const doc = await collection.doc(jobId).get();
+            return doc.exists ? { id: doc.id, ...doc.data() } : null;
+        },
+
+        /**
+         * Fails unfinished jobs nobody is working on. Jobs only run in the process
+         * that accepted the upload, so one of this instance's jobs that isn't running
+         * in this process was orphaned by a restart. Other instances' jobs may still
+         * be running there, so they are only failed once they haven't been updated
+         * for `staleMs`. Resolves with how many were failed.
+         */
+        async failStale(staleMs) {
+            const snapshot = await collection.where('status', 'in', ['queued', 'running']).get();
+            const cutoff = Date.now() - staleMs;
+            const stale = snapshot.docs.filter((doc) => {
+                if (live.has(doc.id)) { return false; }
+                const { instanceId: owner, updatedAt } = doc.data();
+                return owner === instanceId || (updatedAt ? updatedAt.toMillis() : 0) <= cutoff;
+            });
+            await Promise.all(stale.map(doc => doc.ref.update({
+                status: 'failed',
+                stage: null,
+                error: INTERRUPTED_ERROR,
+                errorStatus: 500,
+                updatedAt: FieldValue.serverTimestamp(),
+            })));
+            return stale.length;
+        },
+
+        // Latest in-memory state of a job running in this process, if any.
+        getLive(jobId) {
+            return live.get(jobId)?.state || null;
+        },
+
+        /**
+         * Calls `listener(state)` on every change to the job until the returned
+         * function is called.
+         */
+        subscribe(jobId, listener) {
+            events.on(jobId, listener);
+            return () => events.off(jobId, listener);
+        },
+    };
+}
+
+function withoutId(state) {
+    const { id, ...fields } = state;
+    return fields;
+}
+
+// Firestore timestamps -> ISO strings for API responses; which server ran the job stays internal.
+function serializeJob(job) {
+    const { createdAt, updatedAt, instanceId, ...rest } = job;
+    return {
+        ...rest,
+        createdAt: createdAt ? createdAt.toDate().toISOString() : null,
+        updatedAt: updatedAt ? updatedAt.toDate().toISOString() : null,
+    };
+}
+
+module.exports = {
+    createJobStore,
+    isTerminal,
+    serializeJob,
+};
@@ -0,0 +1,67 @@
+// Aggregate score metrics for an analysed set of line items.
+
+/**
+ * Parses a numeric cell from a spreadsheet export ("1,200", "₹25.00", " 30 ").
+ * Returns null for empty or non-numeric values.
+ */
+function parseNumber(value) {
+    if (value === undefined || value === null) { return null; }
+    if (typeof value === 'number') { return Number.isFinite(value) ? value : null; }
+    const match = String(value).replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+    return match ? Number(match[0]) : null;
+}
+
+function itemQuantity(item) {
+    return parseNumber(item.quantity ?? item.qty);
+}
+
+function itemUnitPrice(item) {
+    return parseNumber(item.price);
+}
+
+function itemSpend(item) {
+    const quantity = itemQuantity(item);
+    const price = itemUnitPrice(item);
+    if (price === null) { return null; }
+    return price * (quantity ?? 1);
+}
+
+// Weighted mean of greenScore; items without a positive weight are skipped.
+// Returns null when no item carries a weight, so callers can show "n/a" rather than 0.
+function weightedScore(items, weightOf) {
+    let totalWeight = 0;
+    let total = 0;
+    for (const item of items) {
+        const weight = weightOf(item);
+        if (weight === null || weight <= 0) continue;
+        totalWeight += weight;
+        total += item.greenScore * weight;
+    }
+    return totalWeight > 0 ? Math.round(total / totalWeight) : null;
+}
+
+/**
+ * Simple, quantity-weighted and spend-weighted green scores for an analysis.
+ * Spend is quantity × unit price (quantity defaults to 1 when only a price is given).
+ */
+function summarizeScores(items) {
+    const totalScore = items.reduce((acc, item) => acc + item.greenScore, 0);
+    const quantities = items.map(itemQuantity).filter(q => q !== null);
+    const spends = items.map(itemSpend).filter(s => s !== null);
+
+    return {
+        averageScore: items.length > 0 ? Math.round(totalScore / items.length) : 0,
+        quantityWeightedScore: weightedScore(items, itemQuantity),
+        spendWeightedScore: weightedScore(items, itemSpend),
+        totalQuantity: quantities.length > 0 ? quantities.reduce((a, b) => a + b, 0) : null,
+        totalSpend: spends.length > 0 ? Math.round(spends.reduce((a, b) => a + b, 0) * 100) / 100 : null,
+    };
+}
+
+module.exports = {
+    itemQuantity,
+    itemSpend,
+    itemUnitPrice,
+    parseNumber,
+    summarizeScores,
+};
@@ -0,0 +1,170 @@
+// Organizations, their members and pending invites. Analyses belong either to
+// a user's personal workspace or to one organization.
+const { toIso } = require('./records');
+
+// Each role can do everything the roles before it can.
+const ROLES = ['viewer', 'analyst', 'admin'];
+
+function isRole(role) {
+    return ROLES.includes(role);
+}
+
+function hasRole(role, minimum) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+function orgError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Creates the organization store. Memberships live in one collection keyed
+ * `${orgId}_${uid}` so a role check is a single document read.
+ */
+function createOrgStore({ db, FieldValue }) {
+    const organizations = db.collection('organizations');
+    const memberships = db.collection('memberships');
+    const invites = db.collection('invites');
+    const membershipRef = (orgId, uid) => memberships.doc(`${orgId}_${uid}`);
+
+    async function getMembership(orgId, uid) {
+        const doc = await membershipRef(orgId, uid).get();
+        return doc.exists ? doc.data() : null;
+    }
+
+    async function adminCount(orgId) {
+        const snapshot = await memberships.where('orgId', '==', orgId).where('role', '==', 'admin').get();
+        return snapshot.size;
+    }
+
+    // An organization must keep at least one admin.
+    async function assertNotLastAdmin(orgId, uid) {
+        const membership = await getMembership(orgId, uid);
+        if (!membership) { throw orgError(404, 'Member not found.'); }
+        if (membership.role === 'admin' && await adminCount(orgId) <= 1) {
+            throw orgError(409, 'An organization needs at least one admin.');
+        }
+        return membership;
+    }
+
+    return {
+        getMembership,
+
+        // Creates an organization with `user` as its first admin.
+        async create(name, user) {
+            const ref = await organizations.add({ name, createdBy: user.uid, createdAt: FieldValue.serverTimestamp() });
+            await membershipRef(ref.id, user.uid).set({
+                orgId: ref.id, uid: user.uid, email: user.email || null, role: 'admin', joinedAt: FieldValue.serverTimestamp(),
+            });
+            return { id: ref.id, name, role: 'admin' };
+        },
+
+        // Organizations the user belongs to, with their role in each.
+        async listForUser(uid) {
+            const snapshot = await memberships.where('uid', '==', uid).get();
+            const orgs = await Promise.all(snapshot.docs.map(async (doc) => {
+                const { orgId, role } = doc.data();
+                const org = await organizations.doc(orgId).get();
+                return org.exists ? { id: orgId, name: org.data().name, role } : null;
+            }));
+            return orgs.filter(Boolean).sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        async listMembers(orgId) {
+            const snapshot = await memberships.where('orgId', '==', orgId).get();
+            return snapshot.docs.map(doc => {
+                const { uid, email, role, joinedAt } = doc.data();
+                return { uid, email, role, joinedAt: toIso(joinedAt) };
+            });
+        },
+
+        async listInvites(orgId) {
+            const snapshot = await invites.where('orgId', '==', orgId).where('status', '==', 'pending').get();
+            return snapshot.docs.map(doc => {
+                const { email, role, invitedBy, createdAt } = doc.data();
+                return { id: doc.id, email, role, invitedBy, createdAt: toIso(createdAt) };
+            });
+        },
+
+        async invite(orgId, { email, role }, invitedBy) {
+            const normalizedEmail = email.trim().toLowerCase();
+            const existing = await invites.where('orgId', '==', orgId)
+                .where('email', '==', normalizedEmail)
+                .where('status', '==', 'pending')
+                .get();
+            if (!existing.empty) { throw orgError(409, 'That email already has a pending invite.'); }
+            const org = await organizations.doc(orgId).get();
+            const ref = await invites.add({
+                orgId,
+                orgName: org.exists ? org.data().name : null,
+                email: normalizedEmail,
+                role,
+                invitedBy,
+                status: 'pending',
+                createdAt: FieldValue.serverTimestamp(),
+            });
+            return { id: ref.id, email: normalizedEmail, role };
+        },
+
+        async revokeInvite(orgId, inviteId) {
+            const ref = invites.doc(inviteId);
+            const doc = await ref.get();
+            if (!doc.exists || doc.data().orgId !== orgId || doc.data().status !== 'pending') {
+                throw orgError(404, 'Invite not found.');
+            }
+            await ref.update({ status: 'revoked' });
+        },
+
+        // Pending invites addressed to this (verified) email address.
+        async invitesForEmail(email) {
+            const snapshot = await invites.where('email', '==', email.toLowerCase()).where('status', '==', 'pending').get();
+            return snapshot.docs.map(doc => {
+                const { orgId, orgName, role, createdAt } = doc.data();
+                return { id: doc.id, orgId, orgName, role, createdAt: toIso(createdAt) };
+            });
+        },
+
+        // Only the invited address may accept, and only once its owner has verified it.
+        async acceptInvite(inviteId, user) {
+            const ref = invites.doc(inviteId);
+            const doc = await ref.get();
+            const invite = doc.exists ? doc.data() : null;
+            if (!invite || invite.status !== 'pending' || !user.email || invite.email !== user.email.toLowerCase()) {
+                throw orgError(404, 'Invite not found.');
+            }
+            if (!user.email_verified) { throw orgError(403, 'Verify your email address before accepting invites.'); }
+            const existing = await getMembership(invite.orgId, user.uid);
+            // Accepting an invite never demotes an existing member.
+            const role = existing && hasRole(existing.role, invite.role) ? existing.role : invite.role;
+            await membershipRef(invite.orgId, user.uid).set({
+                orgId: invite.orgId,
+                uid: user.uid,
+                email: user.email,
+                role,
+                joinedAt: existing ? existing.joinedAt : FieldValue.serverTimestamp(),
+            });
+            await ref.update({ status: 'accepted', acceptedBy: user.uid, acceptedAt: FieldValue.serverTimestamp() });
+            return { id: invite.orgId, name: invite.orgName, role };
+        },
+
+        async setRole(orgId, uid, role) {
+            if (role !== 'admin') { await assertNotLastAdmin(orgId, uid); }
+            else if (!await getMembership(orgId, uid)) { throw orgError(404, 'Member not found.'); }
+            await membershipRef(orgId, uid).update({ role });
+        },
+
+        async removeMember(orgId, uid) {
+            await assertNotLastAdmin(orgId, uid);
+            await membershipRef(orgId, uid).delete();
+        },
+    };
+}
+
+module.exports = {
+    ROLES,
+    createOrgStore,
+    hasRole,
+    isRole,
+};
@@ -0,0 +1,174 @@
+// Parsers that turn an uploaded purchase-order file into header + row objects.
+const path = require('path');
+const csv = require('csv-parser');
+const stream = require('stream');
+const ExcelJS = require('exceljs');
+
+const FORMATS_BY_EXTENSION = {
+    '.csv': 'csv',
+    '.xlsx': 'xlsx',
+    '.json': 'json',
+};
+
+// Windows browsers also send application/vnd.ms-excel for .csv files, but it is
+// the mimetype of legacy .xls workbooks too, so only the .csv extension is trusted for it.
+const FORMATS_BY_MIMETYPE = {
+    'text/csv': 'csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/json': 'json',
+};
+const LEGACY_EXCEL_MIMETYPE = 'application/vnd.ms-excel';
+
+/**
+ * Works out the file format from its extension, falling back to the mimetype.
+ * Returns null for anything we can't parse.
+ */
+function detectFormat(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    return FORMATS_BY_EXTENSION[extension] || FORMATS_BY_MIMETYPE[file.mimetype] || null;
+}
+
+// The 415 error for a file detectFormat doesn't recognize; legacy .xls workbooks get a hint.
+function unsupportedFormatError(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const legacyExcel = extension === '.xls' || (!extension && file.mimetype === LEGACY_EXCEL_MIMETYPE);
+    const error = new Error(legacyExcel
+        ? 'Legacy Excel (.xls) files are not supported. Save the file as .xlsx or .csv and upload it again.'
+        : 'Unsupported file type. Upload a .csv, .xlsx or .json file.');
+    error.status = 415;
+    return error;
+}
+
+function cleanHeader(header) {
+    return String(header ?? '').replace(/^\uFEFF/, '').trim();
+}
+
+/**
+ * Parses a CSV buffer. Headers are trimmed but otherwise kept as written,
+ * so column mappings can refer to them exactly.
+ */
+function parseCsv(buffer) {
+    return new Promise((resolve, reject) => {
+        let headers = [];
+        const rows = [];
+        stream.Readable.from(buffer)
+            .pipe(csv({ mapHeaders: ({ header }) => cleanHeader(header) }))
+            .on('headers', (parsedHeaders) => { headers = parsedHeaders; })
+            .on('data', (row) => rows.push(row))
+            // Line numbers assume one physical line per record, which holds for ERP exports.
+            .on('end', () => resolve({ headers, rows, lines: rows.map((row, index) => index + 2) }))
+            .on('error', reject);
+    });
+}
+
+// Flattens ExcelJS cell values (formulas, rich text, hyperlinks, dates) to plain values.
+function cellValue(value) {
+    if (value === null || value === undefined) { return ''; }
+    if (value instanceof Date) { return value.toISOString(); }
+    if (typeof value === 'object') {
+        if ('result' in value) { return cellValue(value.result); }
+        if (Array.isArray(value.richText)) { return value.richText.map(part => part.text).join(''); }
+        if ('text' in value) { return String(value.text); }
+        return '';
+    }
+    return value;
+}
+
+/**
+ * Parses one worksheet of an .xlsx workbook. `sheet` may be a sheet name or a
+ * 1-based index; the first sheet is used by default. The first non-empty row
+ * is treated as the header row.
+ */
+async function parseXlsx(buffer, sheet) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheetNames = workbook.worksheets.map(ws => ws.name);
+
+    let worksheet;
+    if (sheet === undefined || sheet === null || sheet === '') {
+        worksheet = workbook.worksheets[0];
+    } else if (/^\d+$/.test(String(sheet))) {
+        worksheet = workbook.worksheets[Number(sheet) - 1];
+    } else {
+        worksheet = workbook.getWorksheet(String(sheet));
+    }
+    if (!worksheet) {
+        const error = new Error(`Sheet "${sheet}" not found. Available sheets: ${sheetNames.join(', ')}.`);
+        error.status = 400;
+        throw error;
+    }
+
+    let headers = null;
+    let columns = [];
+    const rows = [];
+    const lines = [];
+    worksheet.eachRow((row) => {
+        const values = row.values.slice(1).map(cellValue); // row.values is 1-based
+        if (!headers) {
+            columns = values.map((value, index) => ({ index, header: cleanHeader(value) })).filter(c => c.header);
+            headers = columns.map(c => c.header);
+            return;
+        }
+        rows.push(Object.fromEntries(columns.map(c => [c.header, values[c.index] ?? ''])));
+        lines.push(row.number);
+    });
+
+    return { headers: headers || [], rows, lines, sheet: worksheet.name, sheetNames };
+}
+
+/**
+ * Parses a JSON upload: either an array of row objects or an object with an
+ * `items` / `rows` array, as our integration scripts produce.
+ */
+function parseJson(buffer) {
+    let data;
+    try {
+        data = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (parseError) {
+        const error = new Error(`Invalid JSON: ${parseError.message}`);
+        error.status = 400;
+        throw error;
+    }
+    const rows = Array.isArray(data) ? data : (data && typeof data === 'object' ? data.items || data.rows : null);
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+        const error = new Error('JSON uploads must be an array of row objects (or { "items": [...] }).');
+        error.status = 400;
+        throw error;
+    }
+
+    const headers = [];
+    for (const row of rows) {
+        for (const key of Object.keys(row)) {
+            if (!headers.includes(key)) { headers.push(key); }
+        }
+    }
+    return { headers, rows, lines: rows.map((row, index) => index + 1) };
+}
+
+/**
+ * Parses an uploaded file into { format, headers, rows, lines } regardless of its format.
+ * `lines` gives each row's position in the source file for error reports.
+ * Errors with a `status` (400, or 415 for an unsupported format) describe problems with the file itself.
+ */
+async function parseUpload(file, { sheet } = {}) {
+    const format = detectFormat(file);
+    if (format === 'xlsx') {
+        return { format, ...(await parseXlsx(file.buffer, sheet)) };
+    }
+    if (format === 'json') {
+        return { format, ...parseJson(file.buffer) };
+    }
+    if (format === 'csv') {
+        return { format, ...(await parseCsv(file.buffer)) };
+    }
+    throw unsupportedFormatError(file);
+}
+
+module.exports = {
+    detectFormat,
+    parseCsv,
+    parseJson,
+    parseUpload,
+    parseXlsx,
+    unsupportedFormatError,
+};
@@ -0,0 +1,232 @@
+// Procurement policies: a workspace's hard rules (banned products, required
+// variants, recycled content, supplier lists, quantity caps), checked on every
+// uploaded row. Unlike scoring rules they don't change the score; they report violations.
+const { itemQuantity, parseNumber } = require('./metrics');
+const { inWorkspace, stringList, toIso, workspaceFilter } = require('./records');
+const { supplierKey } = require('./suppliers');
+const { normalizeProductName } = require('./text');
+
+const POLICY_TYPES = [
+    'forbidden_product', // matching rows are not allowed at all
+    'required_product', // matching rows must also name one of `require.products` (e.g. lighting must be LED)
+    'min_recycled_content', // matching rows need at least `minPercent` recycled content
+    'supplier_allowlist', // matching rows must come from one of `suppliers`
+    'supplier_denylist', // matching rows must not come from any of `suppliers`
+    'quantity_cap', // matching rows may order at most `maxQuantity`
+];
+const SEVERITIES = ['critical', 'warning', 'info'];
+// Violations kept on an analysis; the counts always cover all of them.
+const MAX_STORED_VIOLATIONS = 1000;
+
+/**
+ * Checks a rule from a create or update request; returns `{ rule, problems }`.
+ * Product terms match whole words, ignoring case and punctuation, so
+ * "single use" also matches "Single-Use Cups".
+ */
+function parsePolicyRule(body) {
+    const problems = [];
+    const name = typeof body?.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 120) { problems.push('name is required (at most 120 characters).'); }
+    const severity = body?.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) { problems.push(`severity must be one of: ${SEVERITIES.join(', ')}.`); }
+    const type = body?.type;
+    if (!POLICY_TYPES.includes(type)) { problems.push(`type must be one of: ${POLICY_TYPES.join(', ')}.`); }
+
+    const match = {
+        products: stringList(body?.match?.products),
+        categories: stringList(body?.match?.categories).map(category => category.toLowerCase()),
+        except: stringList(body?.match?.except),
+    };
+    const rule = { name, severity, type, match };
+    const scoped = match.products.length > 0 || match.categories.length > 0;
+
+    if (type === 'forbidden_product' || type === 'required_product') {
+        if (!scoped) { problems.push('match needs products or categories, or the rule would cover every row.'); }
+    }
+    if (type === 'required_product') {
+        rule.require = { products: stringList(body?.require?.products) };
+        if (rule.require.products.length === 0) { problems.push('require.products is required.'); }
+    }
+    if (type === 'min_recycled_content') {
+        rule.minPercent = Number(body?.minPercent);
+        if (!Number.isFinite(rule.minPercent) || rule.minPercent <= 0 || rule.minPercent > 100) {
+            problems.push('minPercent must be between 0 and 100.');
+        }
+    }
+    if (type === 'supplier_allowlist' || type === 'supplier_denylist') {
+        rule.suppliers = stringList(body?.suppliers);
+        if (rule.suppliers.length === 0) { problems.push('suppliers is required.'); }
+    }
+    if (type === 'quantity_cap') {
+        rule.maxQuantity = Number(body?.maxQuantity);
+        if (!Number.isFinite(rule.maxQuantity) || rule.maxQuantity < 0) { problems.push('maxQuantity must be a number of at least 0.'); }
+    }
+    return { rule, problems };
+}
+
+function termMatcher(terms) {
+    const normalized = terms.map(normalizeProductName).filter(Boolean);
+    return (text) => {
+        const padded = ` ${normalizeProductName(text)} `;
+        return normalized.some(term => padded.includes(` ${term} `));
+    };
+}
+
+// Precompiles a stored rule's matchers.
+function compilePolicy(rule) {
+    return {
+        ...rule,
+        matchesProduct: rule.match.products.length > 0 ? termMatcher(rule.match.products) : null,
+        isExcepted: rule.match.except.length > 0 ? termMatcher(rule.match.except) : null,
+        meetsRequirement: rule.require ? termMatcher(rule.require.products) : null,
+        supplierKeys: rule.suppliers ? new Set(rule.suppliers.map(supplierKey)) : null,
+    };
+}
+
+// A row is in scope when it meets every condition the rule sets; a row without a category doesn't match `categories`.
+function appliesTo(policy, item) {
+    const product = String(item.product ?? '');
+    if (policy.matchesProduct && !policy.matchesProduct(product)) { return false; }
+    if (policy.match.categories.length > 0
+        && !(item.category && policy.match.categories.includes(String(item.category).toLowerCase()))) {
+        return false;
+    }
+    return !(policy.isExcepted && policy.isExcepted(product));
+}
+
+// Recycled content from the recycledContent column, else from the name ("A4 paper, 30% recycled").
+function recycledContent(item) {
+    const fromColumn = parseNumber(item.recycledContent);
+    if (fromColumn !== null) { return fromColumn; }
+    const match = String(item.product ?? '').match(/(\d+(?:\.\d+)?)\s*%\s*(?:post[- ]consumer\s+)?recycled/i);
+    return match ? Number(match[1]) : null;
+}
+
+// Why `item` breaks the rule, or null when it doesn't.
+function violationMessage(policy, item) {
+    switch (policy.type) {
+        case 'forbidden_product':
+            return `${item.product} is not allowed.`;
+        case 'required_product':
+            return policy.meetsRequirement(String(item.product))
+                ? null
+                : `Only ${policy.require.products.join(' or ')} products are allowed; found ${item.product}.`;
+        case 'min_recycled_content': {
+            const content = recycledContent(item);
+            if (content === null) { return `No recycled content given; at least ${policy.minPercent}% is required.`; }
+            return content < policy.minPercent ? `Recycled content ${content}% is below the required ${policy.minPercent}%.` : null;
+        }
+        case 'supplier_allowlist':
+            if (!item.supplier) { return 'No supplier given; only approved suppliers may be used.'; }
+            return policy.supplierKeys.has(supplierKey(item.supplier)) ? null : `${item.supplier} is not an approved supplier.`;
+        case 'supplier_denylist':
+            return item.supplier && policy.supplierKeys.has(supplierKey(item.supplier))
+                ? `${item.supplier} is a blocked supplier.`
+                : null;
+        case 'quantity_cap': {
+            const quantity = itemQuantity(item);
+            return quantity !== null && quantity > policy.maxQuantity
+                ? `Quantity ${quantity} is above the limit of ${policy.maxQuantity}.`
+                : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Checks every item against every rule. `rules` are stored rules with an `id`;
+ * `lines` gives each item's line in the uploaded file. Returns the violations,
+ * most severe first, and how many there are of each severity.
+ */
+function evaluatePolicies(items, rules, lines = []) {
+    const policies = rules.map(compilePolicy);
+    const violations = [];
+    items.forEach((item, index) => {
+        for (const policy of policies) {
+            if (!appliesTo(policy, item)) continue;
+            const message = violationMessage(policy, item);
+            if (!message) continue;
+            violations.push({
+                ruleId: policy.id,
+                ruleName: policy.name,
+                type: policy.type,
+                severity: policy.severity,
+                itemIndex: index,
+                line: lines[index] ?? null,
+                product: item.product,
+                supplier: item.supplier || null,
+                message,
+            });
+        }
+    });
+    violations.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || a.itemIndex - b.itemIndex);
+    const counts = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    for (const violation of violations) { counts[violation.severity] += 1; }
+    return {
+        violations: violations.slice(0, MAX_STORED_VIOLATIONS),
+        violationCounts: { ...counts, total: violations.length },
+    };
+}
+
+function serializePolicy(doc) {
+    const { userId, createdAt, updatedAt, ...rule } = doc.data();
+    return { id: doc.id, ...rule, orgId: rule.orgId || null, createdAt: toIso(createdAt), updatedAt: toIso(updatedAt) };
+}
+
+// Stores each workspace's policy rules in the `policyRules` collection.
+function createPolicyStore({ db, FieldValue }) {
+    const collection = db.collection('policyRules');
+
+    async function getInWorkspace(id, workspace) {
+        const doc = await collection.doc(id).get();
+        if (!doc.exists) { return null; }
+        return inWorkspace(doc.data(), workspace) ? doc : null;
+    }
+
+    return {
+        // Oldest first, so rules keep the order they were written in.
+        async list(workspace) {
+            const snapshot = await workspaceFilter(collection, workspace).get();
+            return snapshot.docs.map(serializePolicy)
+                .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        },
+
+        async create(rule, workspace) {
+            const ref = await collection.add({
+                ...rule,
+                userId: workspace.uid,
+                orgId: workspace.orgId,
+                createdBy: workspace.uid,
+                createdAt: FieldValue.serverTimestamp(),
+                updatedAt: FieldValue.serverTimestamp(),
+            });
+            return serializePolicy(await ref.get());
+        },
+
+        // Replaces a rule; null when it isn't in this workspace.
+        async update(id, rule, workspace) {
+            const doc = await getInWorkspace(id, workspace);
+            if (!doc) { return null; }
+            const { createdBy, createdAt, userId, orgId } = doc.data();
+            await doc.ref.set({ ...rule, createdBy, createdAt, userId, orgId, updatedAt: FieldValue.serverTimestamp() });
+            return serializePolicy(await doc.ref.get());
+        },
+
+        // Returns false when the rule isn't in this workspace.
+        async remove(id, workspace) {
+            const doc = await getInWorkspace(id, workspace);
+            if (!doc) { return false; }
+            await doc.ref.delete();
+            return true;
+        },
+    };
+}
+
+module.exports = {
+    POLICY_TYPES,
+    SEVERITIES,
+    createPolicyStore,
+    evaluatePolicies,
+    parsePolicyRule,
+};
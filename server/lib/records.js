@@ -0,0 +1,39 @@
+// Shared helpers for Firestore records: workspace scoping, timestamps in API
+// responses and list fields from requests.
+
+/**
+ * Whether a record belongs to a workspace. Personal records have no orgId;
+ * organization records are shared by all its members.
+ */
+function inWorkspace(data, workspace) {
+    return workspace.orgId ? data.orgId === workspace.orgId : (!data.orgId && data.userId === workspace.uid);
+}
+
+// The records of a workspace in `collection`; personal ones are stored with `orgId: null`.
+function workspaceFilter(collection, workspace) {
+    return workspace.orgId
+        ? collection.where('orgId', '==', workspace.orgId)
+        : collection.where('userId', '==', workspace.uid).where('orgId', '==', null);
+}
+
+// Firestore timestamp -> ISO string, or null when unset.
+function toIso(timestamp) {
+    return timestamp ? timestamp.toDate().toISOString() : null;
+}
+
+// Cleans a list of strings from a request: trimmed, non-empty, deduplicated case-insensitively.
+function stringList(value) {
+    if (!Array.isArray(value)) { return []; }
+    const seen = new Set();
+    return value
+        .filter(entry => typeof entry === 'string' && entry.trim())
+        .map(entry => entry.trim())
+        .filter(entry => !seen.has(entry.toLowerCase()) && seen.add(entry.toLowerCase()));
+}
+
+module.exports = {
+    inWorkspace,
+    stringList,
+    toIso,
+    workspaceFilter,
+};
@@ -0,0 +1,131 @@
+// Rule-based green scoring driven by a versioned ruleset file.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { termPattern } = require('./text');
+
+const DEFAULT_RULESET_PATH = path.join(__dirname, '..', 'rulesets', 'default.json');
+const RULESET_PATH = process.env.SCORING_RULESET_PATH
+    ? path.resolve(process.env.SCORING_RULESET_PATH)
+    : DEFAULT_RULESET_PATH;
+
+let activeRuleset = null;
+
+/**
+ * Validates a raw ruleset object and precompiles its matchers.
+ * Each rule needs an `id`, a numeric `weight` and either `terms` (whole words)
+ * or `pattern` (a case-insensitive regular expression). Optional `unless` terms
+ * negate the rule, and optional `categories` limit it to rows in those categories.
+ */
+function compileRuleset(raw) {
+    if (!raw || typeof raw.version !== 'string' || !raw.version.trim()) {
+        throw new Error('Ruleset is missing a version.');
+    }
+    if (!Array.isArray(raw.rules)) {
+        throw new Error(`Ruleset ${raw.version} has no rules array.`);
+    }
+
+    const rules = raw.rules.map((rule, index) => {
+        if (!rule.id) { throw new Error(`Rule #${index + 1} is missing an id.`); }
+        if (typeof rule.weight !== 'number') { throw new Error(`Rule "${rule.id}" needs a numeric weight.`); }
+
+        let matcher;
+        if (rule.pattern) {
+            matcher = new RegExp(rule.pattern, 'i');
+        } else if (Array.isArray(rule.terms) && rule.terms.length > 0) {
+            matcher = termPattern(rule.terms);
+        } else {
+            throw new Error(`Rule "${rule.id}" needs "terms" or a "pattern".`);
+        }
+
+        return {
+            id: rule.id,
+            weight: rule.weight,
+            matcher,
+            negation: Array.isArray(rule.unless) && rule.unless.length > 0 ? termPattern(rule.unless) : null,
+            categories: Array.isArray(rule.categories) ? rule.categories.map(c => c.toLowerCase()) : null,
+        };
+    });
+
+    return {
+        version: raw.version,
+        baseScore: raw.baseScore ?? 50,
+        minScore: raw.minScore ?? 0,
+        maxScore: raw.maxScore ?? 100,
+        rules,
+        source: raw,
+        // Identifies the rules themselves, so an edit that keeps the version can be caught.
+        contentHash: crypto.createHash('sha256').update(JSON.stringify(raw)).digest('hex').slice(0, 16),
+    };
+}
+
+/**
+ * (Re)loads the ruleset from disk. If the file is invalid, or its rules changed
+ * but its version did not, the previously active ruleset stays in place and the
+ * error is rethrown.
+ */
+function loadRuleset() {
+    const raw = JSON.parse(fs.readFileSync(RULESET_PATH, 'utf8'));
+    const ruleset = compileRuleset(raw);
+    if (activeRuleset && activeRuleset.version === ruleset.version && activeRuleset.contentHash !== ruleset.contentHash) {
+        throw new Error(`Ruleset ${ruleset.version} changed without a version bump; bump "version" to apply the edit.`);
+    }
+    activeRuleset = ruleset;
+    console.log(`Loaded scoring ruleset ${activeRuleset.version} from ${RULESET_PATH}`);
+    return activeRuleset;
+}
+
+function getRuleset() {
+    return activeRuleset || loadRuleset();
+}
+
+// Picks up edits to the ruleset file without a restart.
+function watchRuleset() {
+    fs.watchFile(RULESET_PATH, { interval: 2000 }, () => {
+        try {
+            loadRuleset();
+        } catch (err) {
+            console.error('Failed to reload scoring ruleset, keeping the previous one:', err.message);
+        }
+    });
+}
+
+/**
+ * Scores a single row and reports which rules fired.
+ * Rows without a category are not restricted by category-scoped rules.
+ */
+function scoreItem(item, ruleset = getRuleset()) {
+    if (!item || !item.product) {
+        return { greenScore: 0, matchedRules: [] };
+    }
+    const productName = String(item.product);
+    const category = item.category ? String(item.category).toLowerCase() : null;
+
+    let score = ruleset.baseScore;
+    const matchedRules = [];
+    for (const rule of ruleset.rules) {
+        if (rule.categories && category && !rule.categories.includes(category)) continue;
+        if (!rule.matcher.test(productName)) continue;
+        if (rule.negation && rule.negation.test(productName)) continue;
+        score += rule.weight;
+        matchedRules.push(rule.id);
+    }
+
+    return {
+        greenScore: Math.max(ruleset.minScore, Math.min(ruleset.maxScore, score)),
+        matchedRules,
+    };
+}
+
+function calculateGreenScore(item, ruleset) {
+    return scoreItem(item, ruleset).greenScore;
+}
+
+module.exports = {
+    calculateGreenScore,
+    compileRuleset,
+    getRuleset,
+    loadRuleset,
+    scoreItem,
+    watchRuleset,
+};
@@ -0,0 +1,99 @@
+// Firestore-backed cache for AI summaries and alternative suggestions.
+const crypto = require('crypto');
+const { normalizeProductName } = require('./text');
+
+const COLLECTION = 'suggestionCache';
+// Documents fetched per getAll call.
+const READ_BATCH_SIZE = 100;
+
+function cacheKey(kind, subject, region, promptVersion) {
+    return crypto.createHash('sha1')
+        .update([kind, `v${promptVersion}`, region.toLowerCase(), subject].join('|'))
+        .digest('hex');
+}
+
+// Summaries depend on the whole order, so they're keyed by its sorted, de-duplicated product list.
+function summarySubject(products) {
+    return [...new Set(products.map(normalizeProductName))].sort().join('\n');
+}
+
+/**
+ * Creates a cache bound to a Firestore instance. Entries expire after `ttlMs`;
+ * expired entries are ignored on read and overwritten on the next write.
+ */
+function createSuggestionCache({ db, Timestamp, promptVersion, ttlMs }) {
+    const collection = db.collection(COLLECTION);
+
+    // The cached text, or null when the entry is missing or expired.
+    function textOf(doc) {
+        if (!doc.exists) { return null; }
+        const data = doc.data();
+        if (data.expiresAt && data.expiresAt.toMillis() <= Date.now()) { return null; }
+        return data.text;
+    }
+
+    async function read(kind, subject, region) {
+        return textOf(await collection.doc(cacheKey(kind, subject, region, promptVersion)).get());
+    }
+
+    async function write(kind, subject, region, text, { provider, model }) {
+        await collection.doc(cacheKey(kind, subject, region, promptVersion)).set({
+            kind,
+            product: kind === 'suggestion' ? subject : null,
+            region: region.toLowerCase(),
+            promptVersion,
+            text,
+            provider,
+            model,
+            createdAt: Timestamp.now(),
+            expiresAt: Timestamp.fromMillis(Date.now() + ttlMs),
+        });
+    }
+
+    return {
+        /**
+         * Cached suggestions for many products, read in a few getAll round trips
+         * instead of one per product. Returns Map<normalizedName, text> of the hits.
+         */
+        async getSuggestions(products, region) {
+            const names = [...new Set(products.map(normalizeProductName))];
+            const found = new Map();
+            for (let i = 0; i < names.length; i += READ_BATCH_SIZE) {
+                const batch = names.slice(i, i + READ_BATCH_SIZE);
+                const docs = await db.getAll(...batch.map(name => collection.doc(cacheKey('suggestion', name, region, promptVersion))));
+                docs.forEach((doc, index) => {
+                    const text = textOf(doc);
+                    if (text) { found.set(batch[index], text); }
+                });
+            }
+            return found;
+        },
+        setSuggestion: (product, region, text, source) => write('suggestion', normalizeProductName(product), region, text, source),
+        getSummary: (products, region) => read('summary', summarySubject(products), region),
+        setSummary: (products, region, text, source) => write('summary', summarySubject(products), region, text, source),
+
+        /**
+         * Deletes cached entries. With a product, only that product's suggestions
+         * (optionally for one region); without, the whole cache. Returns the count.
+         */
+        async invalidate({ product, region } = {}) {
+            let query = collection;
+            if (product) { query = query.where('product', '==', normalizeProductName(product)); }
+            if (region) { query = query.where('region', '==', region.toLowerCase()); }
+
+            let deleted = 0;
+            for (;;) {
+                const snapshot = await query.limit(400).get();
+                if (snapshot.empty) { return deleted; }
+                const batch = db.batch();
+                snapshot.docs.forEach(doc => batch.delete(doc.ref));
+                await batch.commit();
+                deleted += snapshot.size;
+            }
+        },
+    };
+}
+
+module.exports = {
+    createSuggestionCache,
+};
@@ -0,0 +1,121 @@
+// Supplier scorecards: how green each vendor's line items are across all of a user's analyses.
+const { LOW_SCORE_THRESHOLD } = require('./enrichment');
+const { itemQuantity, itemSpend, summarizeScores } = require('./metrics');
+const { normalizeProductName } = require('./text');
+const { buildTrends } = require('./trends');
+
+// URL-safe identifier shared by spelling variants: "Acme Traders Pvt. Ltd" -> "acme-traders-pvt-ltd".
+function supplierKey(supplier) {
+    return normalizeProductName(supplier).replace(/ /g, '-');
+}
+
+function roundShare(part, total) {
+    return total > 0 && part !== null ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+// Groups items by supplier, remembering which analysis each came from.
+function groupBySupplier(analyses) {
+    const suppliers = new Map();
+    let unassignedItems = 0;
+    for (const analysis of analyses) {
+        for (const item of analysis.items || []) {
+            const key = item.supplier ? supplierKey(item.supplier) : '';
+            if (!key) {
+                unassignedItems += 1;
+                continue;
+            }
+            const group = suppliers.get(key) || { key, supplier: String(item.supplier).trim(), entries: [] };
+            group.entries.push({ analysis, item });
+            suppliers.set(key, group);
+        }
+    }
+    return { suppliers, unassignedItems };
+}
+
+function scorecard(group, totalSpend) {
+    const items = group.entries.map(entry => entry.item);
+    const scores = summarizeScores(items);
+    const analysisIds = new Set(group.entries.map(entry => entry.analysis.id));
+    const lastSeen = group.entries.reduce((latest, { analysis }) =>
+        (analysis.createdAt && (!latest || analysis.createdAt > latest) ? analysis.createdAt : latest), null);
+    return {
+        key: group.key,
+        supplier: group.supplier,
+        analyses: analysisIds.size,
+        itemCount: items.length,
+        averageScore: scores.averageScore,
+        quantityWeightedScore: scores.quantityWeightedScore,
+        spendWeightedScore: scores.spendWeightedScore,
+        totalSpend: scores.totalSpend,
+        spendShare: roundShare(scores.totalSpend, totalSpend),
+        lowScoreShare: roundShare(items.filter(item => item.greenScore < LOW_SCORE_THRESHOLD).length, items.length),
+        lastSeen: lastSeen ? lastSeen.toISOString() : null,
+    };
+}
+
+function totalSpendOf(analyses) {
+    return summarizeScores(analyses.flatMap(analysis => analysis.items || [])).totalSpend;
+}
+
+/**
+ * One scorecard per supplier, biggest spend first. Analyses need `id`,
+ * `createdAt` (a Date) and `items`; items without a supplier are only counted.
+ */
+function buildSupplierScorecards(analyses) {
+    const { suppliers, unassignedItems } = groupBySupplier(analyses);
+    const totalSpend = totalSpendOf(analyses);
+    const scorecards = [...suppliers.values()]
+        .map(group => scorecard(group, totalSpend))
+        .sort((a, b) => (b.totalSpend ?? -1) - (a.totalSpend ?? -1) || a.supplier.localeCompare(b.supplier));
+    return { suppliers: scorecards, totalSpend, unassignedItems };
+}
+
+// The supplier's products ordered from least to most green, merged across analyses.
+function worstProducts(entries, limit) {
+    const products = new Map();
+    for (const { item } of entries) {
+        const key = normalizeProductName(item.product);
+        const product = products.get(key) || { product: item.product, rows: 0, scoreTotal: 0, totalQuantity: null, totalSpend: null };
+        product.rows += 1;
+        product.scoreTotal += item.greenScore;
+        const quantity = itemQuantity(item);
+        const spend = itemSpend(item);
+        if (quantity !== null) { product.totalQuantity = (product.totalQuantity ?? 0) + quantity; }
+        if (spend !== null) { product.totalSpend = Math.round(((product.totalSpend ?? 0) + spend) * 100) / 100; }
+        products.set(key, product);
+    }
+    return [...products.values()]
+        .map(({ rows, scoreTotal, ...product }) => ({ ...product, orders: rows, averageScore: Math.round(scoreTotal / rows) }))
+        .sort((a, b) => a.averageScore - b.averageScore || (b.totalSpend ?? 0) - (a.totalSpend ?? 0))
+        .slice(0, limit);
+}
+
+/**
+ * Scorecard for one supplier plus its worst products and a per-period trend.
+ * Returns null when no item names that supplier.
+ */
+function buildSupplierDetail(analyses, key, { period = 'month', worstLimit = 10 } = {}) {
+    const { suppliers } = groupBySupplier(analyses);
+    const group = suppliers.get(key);
+    if (!group) { return null; }
+
+    // Trend over the supplier's own items only.
+    const byAnalysis = new Map();
+    for (const { analysis, item } of group.entries) {
+        const entry = byAnalysis.get(analysis.id) || { id: analysis.id, createdAt: analysis.createdAt, items: [] };
+        entry.items.push(item);
+        byAnalysis.set(analysis.id, entry);
+    }
+    return {
+        ...scorecard(group, totalSpendOf(analyses)),
+        worstProducts: worstProducts(group.entries, worstLimit),
+        trend: buildTrends([...byAnalysis.values()], { period }).series,
+        period,
+    };
+}
+
+module.exports = {
+    buildSupplierDetail,
+    buildSupplierScorecards,
+    supplierKey,
+};
@@ -0,0 +1,21 @@
+// Shared text helpers for matching product names.
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Case-insensitive whole-word matcher, so "led" doesn't match "recycled" or "sealed".
+function termPattern(terms) {
+    return new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})\\b`, 'i');
+}
+
+// Canonical form of a product name for grouping and cache keys: "Single-Use  Cups!" -> "single use cups".
+function normalizeProductName(name) {
+    return String(name ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+module.exports = {
+    escapeRegExp,
+    normalizeProductName,
+    termPattern,
+};
@@ -0,0 +1,114 @@
+// Time-series aggregates over a user's analyses for the trends dashboard.
+const { LOW_SCORE_THRESHOLD } = require('./enrichment');
+const { itemQuantity, itemSpend, summarizeScores } = require('./metrics');
+const { normalizeProductName } = require('./text');
+
+const PERIODS = ['week', 'month', 'quarter'];
+
+// Start of the UTC week (Monday), month or quarter containing `date`.
+function periodStart(date, period) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (period === 'week') {
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    } else if (period === 'month') {
+        start.setUTCDate(1);
+    } else {
+        start.setUTCMonth(start.getUTCMonth() - (start.getUTCMonth() % 3), 1);
+    }
+    return start;
+}
+
+// Display label: 2024-W05 (ISO week), 2024-01 or 2024-Q1.
+function periodLabel(start, period) {
+    const year = start.getUTCFullYear();
+    if (period === 'month') { return `${year}-${String(start.getUTCMonth() + 1).padStart(2, '0')}`; }
+    if (period === 'quarter') { return `${year}-Q${Math.floor(start.getUTCMonth() / 3) + 1}`; }
+    // The ISO week belongs to the year of its Thursday.
+    const thursday = new Date(start);
+    thursday.setUTCDate(start.getUTCDate() + 3);
+    const firstThursday = periodStart(new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4)), 'week');
+    firstThursday.setUTCDate(firstThursday.getUTCDate() + 3);
+    const week = Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000)) + 1;
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function summarizePeriod(start, period, analyses) {
+    const items = analyses.flatMap(analysis => analysis.items || []);
+    const { averageScore, quantityWeightedScore, spendWeightedScore, totalSpend } = summarizeScores(items);
+    const lowScoring = items.filter(item => item.greenScore < LOW_SCORE_THRESHOLD).length;
+    return {
+        period: periodLabel(start, period),
+        start: start.toISOString(),
+        analyses: analyses.length,
+        itemCount: items.length,
+        averageScore,
+        quantityWeightedScore,
+        spendWeightedScore,
+        totalSpend,
+        lowScoreShare: items.length > 0 ? Math.round((lowScoring / items.length) * 1000) / 1000 : null,
+    };
+}
+
+/**
+ * Low-scoring products that show up in more than one analysis, worst first.
+ * `occurrences` counts analyses, not rows.
+ */
+function worstRecurringProducts(analyses, limit) {
+    const products = new Map();
+    for (const analysis of analyses) {
+        for (const item of analysis.items || []) {
+            const key = normalizeProductName(item.product);
+            const entry = products.get(key) || {
+                product: item.product, analysisIds: new Set(), rows: 0, scoreTotal: 0, totalQuantity: null, totalSpend: null,
+            };
+            entry.analysisIds.add(analysis.id);
+            entry.rows += 1;
+            entry.scoreTotal += item.greenScore;
+            const quantity = itemQuantity(item);
+            const spend = itemSpend(item);
+            if (quantity !== null) { entry.totalQuantity = (entry.totalQuantity ?? 0) + quantity; }
+            if (spend !== null) { entry.totalSpend = (entry.totalSpend ?? 0) + spend; }
+            products.set(key, entry);
+        }
+    }
+    return [...products.values()]
+        .filter(entry => entry.analysisIds.size > 1)
+        .map(({ analysisIds, rows, scoreTotal, totalSpend, ...entry }) => ({
+            ...entry,
+            occurrences: analysisIds.size,
+            averageScore: Math.round(scoreTotal / rows),
+            totalSpend: totalSpend === null ? null : Math.round(totalSpend * 100) / 100,
+        }))
+        .filter(entry => entry.averageScore < LOW_SCORE_THRESHOLD)
+        .sort((a, b) => a.averageScore - b.averageScore || b.occurrences - a.occurrences)
+        .slice(0, limit);
+}
+
+/**
+ * Buckets analyses (each with `id`, `createdAt` as a Date and `items`) by
+ * period. Periods without uploads are left out rather than reported as zero.
+ */
+function buildTrends(analyses, { period = 'month', worstLimit = 10 } = {}) {
+    const buckets = new Map();
+    for (const analysis of analyses) {
+        if (!analysis.createdAt) { continue; }
+        const start = periodStart(analysis.createdAt, period);
+        const bucket = buckets.get(start.getTime()) || { start, analyses: [] };
+        bucket.analyses.push(analysis);
+        buckets.set(start.getTime(), bucket);
+    }
+    const series = [...buckets.values()]
+        .sort((a, b) => a.start - b.start)
+        .map(bucket => summarizePeriod(bucket.start, period, bucket.analyses));
+    return {
+        period,
+        lowScoreThreshold: LOW_SCORE_THRESHOLD,
+        series,
+        worstProducts: worstRecurringProducts(analyses, worstLimit),
+    };
+}
+
+module.exports = {
+    PERIODS,
+    buildTrends,
+};
@@ -0,0 +1,73 @@
+// Row-level checks for uploaded purchase orders.
+const { parseNumber } = require('./metrics');
+
+// A number the way spreadsheets and ERP exports write one: an optional currency
+// symbol or code before or after it, Western (1,200,000) or Indian (12,00,000)
+// thousands separators, a decimal part and surrounding spaces. "10 boxes" or "abc12" is not one.
+const CURRENCY = String.raw`(?:[$€£¥₹]|Rs\.?|INR|USD|EUR|GBP)`;
+const AMOUNT = String.raw`-?(?:\d{1,3}(?:,\d{3})+|\d{1,2}(?:,\d{2})+,\d{3}|\d+)(?:\.\d+)?`;
+const NUMBER_PATTERN = new RegExp(String.raw`^\s*(?:${CURRENCY}\s*)?${AMOUNT}(?:\s*${CURRENCY})?\s*$`, 'i');
+const PERCENT_PATTERN = new RegExp(String.raw`^\s*${AMOUNT}\s*%?\s*$`);
+
+// Rejected rows kept on an analysis or failed job, so a badly broken file can't outgrow
+// a Firestore document; `rejectedCount` always has the full number.
+const MAX_STORED_REJECTED_ROWS = 500;
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+// A present-but-unreadable number is a problem; an empty cell is simply "not given".
+function checkNumber(value, label, reasons, pattern = NUMBER_PATTERN) {
+    if (isBlank(value)) { return; }
+    const readable = typeof value === 'number' ? Number.isFinite(value) : pattern.test(String(value));
+    const number = readable ? parseNumber(value) : null;
+    if (number === null) {
+        reasons.push(`${label} "${value}" is not a number.`);
+    } else if (number < 0) {
+        reasons.push(`${label} must not be negative.`);
+    }
+}
+
+function rowReasons(row) {
+    const reasons = [];
+    if (isBlank(row.product)) {
+        reasons.push('Missing product.');
+    } else if (typeof row.product !== 'string' && typeof row.product !== 'number') {
+        // JSON uploads can carry objects or lists, which would be scored as "[object Object]".
+        reasons.push('Product must be text, not a list or object.');
+    }
+    checkNumber(row.quantity, 'Quantity', reasons);
+    checkNumber(row.price, 'Unit price', reasons);
+    checkNumber(row.recycledContent, 'Recycled content', reasons, PERCENT_PATTERN);
+    return reasons;
+}
+
+/**
+ * Splits mapped rows into valid rows and a rejection report.
+ * `lines` holds each row's line (CSV), sheet row (xlsx) or entry number (JSON),
+ * so the report points at the place users need to fix; `validLines` keeps
+ * them for the valid rows.
+ */
+function validateRows(rows, lines = []) {
+    const validRows = [];
+    const validLines = [];
+    const rejectedRows = [];
+    rows.forEach((row, index) => {
+        // Wholly empty rows (trailing blank lines, formatted-but-empty sheet rows) are skipped silently.
+        if (Object.values(row).every(isBlank)) { return; }
+        const reasons = rowReasons(row);
+        if (reasons.length > 0) {
+            rejectedRows.push({ line: lines[index] ?? index + 1, reasons, row });
+        } else {
+            validRows.push(row);
+            validLines.push(lines[index] ?? index + 1);
+        }
+    });
+    return { validRows, validLines, rejectedRows };
+}
+
+module.exports = {
+    MAX_STORED_REJECTED_ROWS,
+    validateRows,
+};
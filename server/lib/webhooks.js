@@ -0,0 +1,350 @@
+// Outgoing webhooks: workspaces register URLs that are told when an analysis
+// completes or scores below a threshold. Every delivery is signed, logged in
+// Firestore and retried with exponential backoff until it succeeds or runs out of attempts.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { LOW_SCORE_THRESHOLD } = require('./enrichment');
+const { inWorkspace, toIso, workspaceFilter } = require('./records');
+
+const EVENTS = ['analysis.completed', 'analysis.below_threshold'];
+const SECRET_PREFIX = 'whsec_';
+// Low scorers listed in a payload, worst first.
+const MAX_PAYLOAD_LOW_SCORERS = 20;
+
+// Addresses that point back into the server's own network: unspecified, loopback,
+// private (RFC 1918), CGNAT, link-local, multicast and reserved, IPv4 and IPv6.
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+// Names that only resolve inside a private network.
+const PRIVATE_HOSTNAME = /^(localhost|.*\.localhost|.*\.local|.*\.internal)$/i;
+
+function isBlockedAddress(address) {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// "[::1]" -> "::1": URL keeps the brackets around IPv6 hostnames.
+function bareHost(hostname) {
+    return hostname.replace(/^\[|\]$/g, '');
+}
+
+function blockedAddressError(host, address) {
+    const error = new Error(`${host} resolves to a private or local address (${address}).`);
+    error.code = 'EBLOCKEDADDRESS';
+    return error;
+}
+
+// dns.lookup that refuses blocked addresses, so a name that resolves (or is later
+// rebound) to one is stopped at connection time, not just when the webhook is registered.
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) { return callback(err); }
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) { return callback(blockedAddressError(hostname, blocked.address)); }
+        if (options.all) { return callback(null, addresses); }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * POSTs `body` to `url` and resolves with the response status. Redirects are not
+ * followed. Unless `allowPrivateUrls` is set, only public addresses are connected to.
+ */
+function postDelivery(url, { headers, body, timeoutMs, allowPrivateUrls }) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const host = bareHost(target.hostname);
+        if (!allowPrivateUrls && net.isIP(host) && isBlockedAddress(host)) {
+            return reject(blockedAddressError(host, host));
+        }
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            ...(!allowPrivateUrls && { lookup: publicOnlyLookup }),
+        }, (response) => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+        const timer = setTimeout(() => {
+            const error = new Error(`No response within ${timeoutMs} ms.`);
+            error.name = 'TimeoutError';
+            request.destroy(error);
+        }, timeoutMs);
+        request.on('error', reject);
+        request.on('close', () => clearTimeout(timer));
+        request.end(body);
+    });
+}
+
+/**
+ * HMAC-SHA256 over `${timestamp}.${body}`, hex encoded. Receivers recompute it
+ * with their secret and compare it to the X-Webhook-Signature header.
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Checks a registration; returns `{ webhook, problems }` where `webhook` holds
+ * the cleaned `url`, `events` and `threshold`. Private and loopback hosts are
+ * rejected unless `allowPrivateUrls` is set (for a local test receiver).
+ */
+function parseWebhookRequest(body, { allowPrivateUrls = false } = {}) {
+    const problems = [];
+    let url = null;
+    try {
+        url = new URL(String(body?.url || ''));
+    } catch (err) {
+        problems.push('url must be a valid http(s) URL.');
+    }
+    if (url && !['http:', 'https:'].includes(url.protocol)) { problems.push('url must be a valid http(s) URL.'); }
+    const host = url ? bareHost(url.hostname) : '';
+    if (url && !allowPrivateUrls && (net.isIP(host) ? isBlockedAddress(host) : PRIVATE_HOSTNAME.test(host))) {
+        problems.push('url must not point to a private or local address.');
+    }
+    const events = Array.isArray(body?.events) ? [...new Set(body.events)] : [];
+    if (events.length === 0 || events.some(event => !EVENTS.includes(event))) {
+        problems.push(`events must be a non-empty list of: ${EVENTS.join(', ')}.`);
+    }
+    const threshold = body?.threshold === undefined || body?.threshold === null || body?.threshold === ''
+        ? LOW_SCORE_THRESHOLD
+        : Number(body.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) { problems.push('threshold must be between 0 and 100.'); }
+    return { webhook: { url: url ? url.toString() : null, events, threshold }, problems };
+}
+
+function serializeWebhook(doc) {
+    const { url, events, threshold, orgId, createdBy, createdAt } = doc.data();
+    return { id: doc.id, url, events, threshold, orgId: orgId || null, createdBy, createdAt: toIso(createdAt) };
+}
+
+function serializeDelivery(doc) {
+    const { webhookId, event, status, attempts, responseStatus, error, createdAt, lastAttemptAt, nextAttemptAt } = doc.data();
+    return {
+        id: doc.id,
+        webhookId,
+        event,
+        status,
+        attempts,
+        responseStatus,
+        error,
+        createdAt: toIso(createdAt),
+        lastAttemptAt: toIso(lastAttemptAt),
+        nextAttemptAt: toIso(nextAttemptAt),
+    };
+}
+
+// The part of an analysis a receiver needs to decide what to do; the rest is at GET /api/analyses/:id.
+function analysisSummary(analysis) {
+    const lowScorers = (analysis.items || []).filter(item => item.greenScore < LOW_SCORE_THRESHOLD);
+    return {
+        id: analysis.id,
+        name: analysis.name || null,
+        fileName: analysis.fileName,
+        orgId: analysis.orgId || null,
+        averageScore: analysis.averageScore,
+        quantityWeightedScore: analysis.quantityWeightedScore ?? null,
+        spendWeightedScore: analysis.spendWeightedScore ?? null,
+        totalSpend: analysis.totalSpend ?? null,
+        itemCount: analysis.itemCount,
+        lowScoreItems: lowScorers.length,
+        lowScorers: [...lowScorers]
+            .sort((a, b) => a.greenScore - b.greenScore)
+            .slice(0, MAX_PAYLOAD_LOW_SCORERS)
+            .map(item => ({ product: item.product, greenScore: item.greenScore, suggestion: item.suggestion || null })),
+        violationCounts: analysis.violationCounts || null,
+        summary: analysis.summary || null,
+        aiStatus: analysis.aiStatus,
+    };
+}
+
+/**
+ * Creates the webhook service. Deliveries are attempted straight away; failed
+ * ones get a `nextAttemptAt` and are picked up by `retryDue()`, which the server
+ * calls on a timer, so retries survive a restart. Deliveries to private or local
+ * addresses fail unless `allowPrivateUrls` is set.
+ */
+function createWebhookService({
+    db,
+    FieldValue,
+    Timestamp,
+    allowPrivateUrls = false,
+    timeoutMs = 10000,
+    maxAttempts = 5,
+    retryBaseMs = 30 * 1000,
+}) {
+    const webhooks = db.collection('webhooks');
+    const deliveries = db.collection('webhookDeliveries');
+    const inFlight = new Set();
+
+    async function getInWorkspace(id, workspace) {
+        const doc = await webhooks.doc(id).get();
+        if (!doc.exists) { return null; }
+        return inWorkspace(doc.data(), workspace) ? doc : null;
+    }
+
+    // One attempt; records the outcome and schedules the next attempt on failure.
+    async function attempt(deliveryId) {
+        if (inFlight.has(deliveryId)) { return; }
+        inFlight.add(deliveryId);
+        try {
+            const ref = deliveries.doc(deliveryId);
+            const delivery = (await ref.get()).data();
+            const webhook = await webhooks.doc(delivery.webhookId).get();
+            if (!webhook.exists) {
+                await ref.update({ status: 'failed', error: 'Webhook was deleted.', nextAttemptAt: null });
+                return;
+            }
+            const timestamp = Math.floor(Date.now() / 1000);
+            let responseStatus = null;
+            let error = null;
+            try {
+                responseStatus = await postDelivery(webhook.data().url, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'GreenProcurementAdvisor-Webhooks/1.0',
+                        'X-Webhook-Event': delivery.event,
+                        'X-Webhook-Delivery': deliveryId,
+                        'X-Webhook-Timestamp': String(timestamp),
+                        'X-Webhook-Signature': `sha256=${signPayload(webhook.data().secret, timestamp, delivery.body)}`,
+                    },
+                    body: delivery.body,
+                    timeoutMs,
+                    allowPrivateUrls,
+                });
+                if (responseStatus < 200 || responseStatus >= 300) { error = `Receiver answered ${responseStatus}.`; }
+            } catch (err) {
+                error = err.message;
+            }
+
+            const attempts = delivery.attempts + 1;
+            const update = { attempts, responseStatus, error, lastAttemptAt: FieldValue.serverTimestamp() };
+            if (!error) {
+                Object.assign(update, { status: 'succeeded', nextAttemptAt: null });
+            } else if (attempts >= maxAttempts) {
+                Object.assign(update, { status: 'failed', nextAttemptAt: null });
+            } else {
+                // 30 s, 1 min, 2 min, 4 min... with the default base.
+                const delay = retryBaseMs * 2 ** (attempts - 1);
+                update.nextAttemptAt = Timestamp.fromMillis(Date.now() + delay);
+            }
+            await ref.update(update);
+        } finally {
+            inFlight.delete(deliveryId);
+        }
+    }
+
+    async function enqueue(webhookDoc, event, data) {
+        const ref = deliveries.doc();
+        const body = JSON.stringify({ id: ref.id, event, createdAt: new Date().toISOString(), data });
+        await ref.set({
+            webhookId: webhookDoc.id,
+            event,
+            body,
+            status: 'pending',
+            attempts: 0,
+            responseStatus: null,
+            error: null,
+            createdAt: FieldValue.serverTimestamp(),
+            lastAttemptAt: null,
+            // Until the first attempt finishes, the retry timer leaves it alone.
+            nextAttemptAt: Timestamp.fromMillis(Date.now() + timeoutMs + retryBaseMs),
+        });
+        attempt(ref.id).catch(err => console.error(`Webhook delivery ${ref.id} failed:`, err.message));
+        return ref.id;
+    }
+
+    return {
+        // Returns the signing secret in plain text; the list never includes it.
+        async create({ url, events, threshold }, workspace) {
+            const secret = `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+            const ref = await webhooks.add({
+                url,
+                events,
+                threshold,
+                secret,
+                userId: workspace.uid,
+                orgId: workspace.orgId,
+                createdBy: workspace.uid,
+                createdAt: FieldValue.serverTimestamp(),
+            });
+            return { ...serializeWebhook(await ref.get()), secret };
+        },
+
+        async list(workspace) {
+            const snapshot = await workspaceFilter(webhooks, workspace).get();
+            return snapshot.docs.map(serializeWebhook)
+                .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+        },
+
+        // Returns false when the webhook isn't in this workspace.
+        async remove(id, workspace) {
+            const doc = await getInWorkspace(id, workspace);
+            if (!doc) { return false; }
+            await doc.ref.delete();
+            return true;
+        },
+
+        // The most recent deliveries of a webhook, newest first; null when it isn't in this workspace.
+        async deliveryLog(id, workspace, limit = 20) {
+            if (!await getInWorkspace(id, workspace)) { return null; }
+            const snapshot = await deliveries.where('webhookId', '==', id).orderBy('createdAt', 'desc').limit(limit).get();
+            return snapshot.docs.map(serializeDelivery);
+        },
+
+        // Sends a `ping` so the receiver can be checked; returns the delivery id, or null.
+        async ping(id, workspace) {
+            const doc = await getInWorkspace(id, workspace);
+            return doc ? enqueue(doc, 'ping', { webhookId: id }) : null;
+        },
+
+        /**
+         * Queues the events a finished analysis triggers for its workspace's webhooks:
+         * analysis.completed always, analysis.below_threshold when its average score
+         * is under the webhook's threshold.
+         */
+        async analysisCompleted(analysis) {
+            const workspace = { uid: analysis.userId, orgId: analysis.orgId || null };
+            const snapshot = await workspaceFilter(webhooks, workspace).get();
+            const summary = analysisSummary(analysis);
+            const queued = [];
+            for (const doc of snapshot.docs) {
+                const { events, threshold } = doc.data();
+                if (events.includes('analysis.completed')) {
+                    queued.push(enqueue(doc, 'analysis.completed', { analysis: summary }));
+                }
+                if (events.includes('analysis.below_threshold') && summary.averageScore < threshold) {
+                    queued.push(enqueue(doc, 'analysis.below_threshold', { analysis: summary, threshold }));
+                }
+            }
+            return Promise.all(queued);
+        },
+
+        // Retries deliveries whose backoff has elapsed.
+        async retryDue() {
+            const snapshot = await deliveries.where('nextAttemptAt', '<=', Timestamp.now()).limit(50).get();
+            for (const doc of snapshot.docs) {
+                await attempt(doc.id).catch(err => console.error(`Webhook delivery ${doc.id} failed:`, err.message));
+            }
+        },
+    };
+}
+
+module.exports = {
+    EVENTS,
+    createWebhookService,
+    parseWebhookRequest,
+    signPayload,
+};
@@ -0,0 +1,49 @@
+// A stand-in webhook receiver for local development: verifies signatures and
+// prints each delivery. Run the server with WEBHOOK_ALLOW_PRIVATE_URLS=true and
+// register http://localhost:4000/webhooks as a webhook.
+//
+//   WEBHOOK_SECRET=whsec_... npm run webhook-receiver
+//
+// RECEIVER_FAIL_FIRST=2 answers 500 to the first two deliveries, to watch retries.
+const http = require('http');
+const crypto = require('crypto');
+const { signPayload } = require('../lib/webhooks');
+
+const PORT = Number(process.env.RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || '';
+// Deliveries older than this are refused, so a captured request can't be replayed later.
+const MAX_AGE_SECONDS = 5 * 60;
+let failuresLeft = Number(process.env.RECEIVER_FAIL_FIRST) || 0;
+
+function verify(headers, body) {
+    const timestamp = Number(headers['x-webhook-timestamp']);
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > MAX_AGE_SECONDS) { return 'stale or missing timestamp'; }
+    const expected = Buffer.from(`sha256=${signPayload(SECRET, timestamp, body)}`);
+    const received = Buffer.from(String(headers['x-webhook-signature'] || ''));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) { return 'bad signature'; }
+    return null;
+}
+
+http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const event = req.headers['x-webhook-event'];
+        const problem = SECRET ? verify(req.headers, body) : null;
+        if (problem) {
+            console.log(`Rejected ${event} (${problem})`);
+            return res.writeHead(401).end();
+        }
+        if (failuresLeft > 0) {
+            failuresLeft -= 1;
+            console.log(`Failing ${event} on purpose (${failuresLeft} more to fail)`);
+            return res.writeHead(500).end();
+        }
+        console.log(`Received ${event} ${req.headers['x-webhook-delivery']}${SECRET ? ' (signature ok)' : ''}`);
+        console.log(JSON.stringify(JSON.parse(body || '{}'), null, 2));
+        res.writeHead(204).end();
+    });
+}).listen(PORT, () => {
+    console.log(`Webhook receiver listening on http://localhost:${PORT}/webhooks`);
+    if (!SECRET) { console.log('WEBHOOK_SECRET is not set, so signatures are not checked.'); }
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseAnnotationUpdate } = require('../lib/annotations');
+
+test('trims names and notes and clears them with null or blank strings', () => {
+    assert.deepStrictEqual(parseAnnotationUpdate({ name: '  Q3 office order ', notes: '' }), {
+        updates: { name: 'Q3 office order', notes: null },
+        problems: [],
+    });
+    assert.deepStrictEqual(parseAnnotationUpdate({ notes: null }).updates, { notes: null });
+});
+
+test('tags are trimmed, collapsed and deduplicated ignoring case', () => {
+    const { updates, problems } = parseAnnotationUpdate({ tags: [' Q3 ', 'q3', 'office   supplies', ''] });
+    assert.deepStrictEqual(updates.tags, ['Q3', 'office supplies']);
+    assert.deepStrictEqual(problems, []);
+});
+
+test('rejects wrong types and values over the limits', () => {
+    assert.deepStrictEqual(parseAnnotationUpdate({ name: 42 }).problems, ['name must be a string.']);
+    assert.deepStrictEqual(parseAnnotationUpdate({ notes: 'x'.repeat(2001) }).problems, ['notes must be at most 2000 characters.']);
+    assert.deepStrictEqual(parseAnnotationUpdate({ tags: 'q3' }).problems, ['tags must be an array of strings.']);
+    assert.deepStrictEqual(parseAnnotationUpdate({ tags: Array.from({ length: 21 }, (_, i) => `t${i}`) }).problems,
+        ['At most 20 tags are allowed.']);
+    assert.deepStrictEqual(parseAnnotationUpdate({ tags: ['x'.repeat(41)] }).problems, ['Tags must be at most 40 characters.']);
+});
+
+test('an update needs at least one editable field', () => {
+    assert.deepStrictEqual(parseAnnotationUpdate({ averageScore: 100 }), {
+        updates: {},
+        problems: ['Nothing to update. Send name, notes or tags.'],
+    });
+    assert.strictEqual(parseAnnotationUpdate().problems.length, 1);
+});
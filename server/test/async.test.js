@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mapWithConcurrency, withRetry, withTimeout } = require('../lib/async');
+
+function failing() {
+    const calls = [];
+    return {
+        calls,
+        fn: async (attempt) => {
+            calls.push(attempt);
+            throw new Error('provider down');
+        },
+    };
+}
+
+test('withRetry gives up after `retries` extra attempts', async () => {
+    const { calls, fn } = failing();
+    await assert.rejects(withRetry(fn, { retries: 2, baseDelayMs: 0 }), /provider down/);
+    assert.deepStrictEqual(calls, [0, 1, 2]);
+});
+
+test('withRetry allows zero retries', async () => {
+    const { calls, fn } = failing();
+    await assert.rejects(withRetry(fn, { retries: 0, baseDelayMs: 0 }));
+    assert.deepStrictEqual(calls, [0]);
+});
+
+test('withRetry falls back to 3 retries when `retries` is not a usable number', async () => {
+    // e.g. Number('three') from AI_MAX_RETRIES
+    for (const retries of [NaN, Infinity, -1, undefined]) {
+        const { calls, fn } = failing();
+        await assert.rejects(withRetry(fn, { retries, baseDelayMs: 0 }), /provider down/);
+        assert.strictEqual(calls.length, 4, `retries: ${retries}`);
+    }
+});
+
+test('withRetry stops at errors shouldRetry refuses', async () => {
+    const { calls, fn } = failing();
+    await assert.rejects(withRetry(fn, { retries: 5, baseDelayMs: 0, shouldRetry: () => false }));
+    assert.deepStrictEqual(calls, [0]);
+});
+
+test('withRetry resolves with the first success', async () => {
+    const result = await withRetry(async attempt => {
+        if (attempt < 2) { throw new Error('flaky'); }
+        return 'ok';
+    }, { retries: 3, baseDelayMs: 0 });
+    assert.strictEqual(result, 'ok');
+});
+
+test('withTimeout rejects with a TimeoutError', async () => {
+    await assert.rejects(withTimeout(new Promise(() => {}), 10, 'too slow'), { name: 'TimeoutError', message: 'too slow' });
+});
+
+test('mapWithConcurrency keeps order and limits calls in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([5, 1, 3, 2], 2, async (value) => {
+        inFlight += 1;
+        peak = Math.max(peak, inFlight);
+        await new Promise(resolve => setTimeout(resolve, value));
+        inFlight -= 1;
+        return value * 10;
+    });
+    assert.deepStrictEqual(results, [50, 10, 30, 20]);
+    assert.strictEqual(peak, 2);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildCatalogIndex, createCatalogStore, detectCertifications, matchCatalog, parseCatalogEntry } = require('../lib/catalog');
+const { FieldValue, fakeFirestore } = require('./helpers/fakeFirestore');
+
+function entry(name, fields = {}) {
+    return { id: name, name, aliases: [], category: null, certifications: [], greenScore: 80, alternatives: [], ...fields };
+}
+
+const index = buildCatalogIndex([
+    entry('Copier Paper A4', { certifications: ['FSC'], category: 'Stationery', aliases: ['A4 photocopy paper'] }),
+    entry('LED Tube Light 20W', { certifications: ['BIS'], category: 'Lighting' }),
+    entry('Plastic Cups', { greenScore: 15, alternatives: ['Paper cups'] }),
+]);
+
+function matchedName(item, options) {
+    return matchCatalog(index, item, options)?.entry.name ?? null;
+}
+
+test('matches despite plurals, word order, punctuation and spacing', () => {
+    assert.deepStrictEqual(matchCatalog(index, { product: 'Copier Papers, A4 (FSC)' }).confidence, 1);
+    assert.strictEqual(matchedName({ product: 'Plastic cup' }), 'Plastic Cups');
+    assert.strictEqual(matchedName({ product: 'LED tubelight 20W BIS' }), 'LED Tube Light 20W');
+    assert.strictEqual(matchedName({ product: 'A4 photocopy paper FSC' }), 'Copier Paper A4');
+});
+
+test('a certified entry needs the row to name its certification', () => {
+    assert.strictEqual(matchedName({ product: 'Copier paper A4' }), null);
+    assert.strictEqual(matchCatalog(index, { product: 'Copier paper A4' }, { minConfidence: 0 }).confidence, 0.6);
+    // From a certifications column, in any spelling the patterns know (ISI is BIS).
+    assert.strictEqual(matchedName({ product: 'A4 copier paper', certifications: 'FSC certified' }), 'Copier Paper A4');
+    assert.strictEqual(matchedName({ product: 'LED tube light 20 W', certifications: 'ISI' }), 'LED Tube Light 20W');
+});
+
+test('a different category lowers the confidence', () => {
+    const same = matchCatalog(index, { product: 'Copier paper A4 FSC', category: 'stationery' }).confidence;
+    const other = matchCatalog(index, { product: 'Copier paper A4 FSC', category: 'Furniture' }).confidence;
+    assert.strictEqual(same, 1);
+    assert.strictEqual(other, 0.8);
+    assert.strictEqual(matchedName({ product: 'Copier paper A4 FSC', category: 'Furniture' }, { minConfidence: 0.9 }), null);
+});
+
+test('does not match different products that share a word', () => {
+    assert.strictEqual(matchedName({ product: 'Paper cups' }), null);
+    assert.strictEqual(matchedName({ product: 'Office chair' }), null);
+    assert.strictEqual(matchCatalog(buildCatalogIndex([]), { product: 'Plastic cups' }), null);
+    assert.strictEqual(matchCatalog(index, { product: '' }), null);
+});
+
+test('detects certifications in names and columns', () => {
+    assert.deepStrictEqual(detectCertifications('EnergyStar monitor', 'eco mark, FSC'), ['FSC', 'Energy Star', 'Ecomark']);
+    assert.deepStrictEqual(detectCertifications('Disposable cups', undefined), []);
+});
+
+test('parseCatalogEntry cleans lists and checks certifications and score', () => {
+    const { entry: parsed, problems } = parseCatalogEntry({
+        name: ' Copier Paper A4 ', greenScore: 80, certifications: ['fsc', 'FSC'], aliases: [' a4 paper', 'A4 Paper'], notes: ' ',
+    });
+    assert.deepStrictEqual(problems, []);
+    assert.deepStrictEqual(parsed, {
+        name: 'Copier Paper A4', aliases: ['a4 paper'], category: null, certifications: ['FSC'], greenScore: 80, alternatives: [], notes: null,
+    });
+    assert.deepStrictEqual(parseCatalogEntry({ name: 'x', greenScore: 80.5, certifications: ['Green Seal'] }).problems, [
+        'greenScore must be a whole number from 0 to 100.',
+        'Unknown certification "Green Seal". Expected one of: FSC, Energy Star, BIS, Ecomark.',
+    ]);
+});
+
+test('the store rebuilds its match index after changes', async () => {
+    const store = createCatalogStore({ db: fakeFirestore(), FieldValue });
+    assert.strictEqual((await store.getIndex()).size, 0);
+    const created = await store.create(parseCatalogEntry({ name: 'Plastic Cups', greenScore: 15 }).entry, 'admin-1');
+    assert.strictEqual(matchCatalog(await store.getIndex(), { product: 'plastic cup' }).entry.id, created.id);
+    assert.strictEqual(await store.remove(created.id), true);
+    assert.strictEqual((await store.getIndex()).size, 0);
+});
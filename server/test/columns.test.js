@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { applyColumnMapping, headerSignature, resolveColumnMapping, validateColumnMapping } = require('../lib/columns');
+
+test('common ERP headers are mapped to canonical fields', () => {
+    const headers = ['Material Description', 'Order Qty', 'Unit Price', 'Vendor Name', 'Eco Label', 'Plant'];
+    const { mapping, unmappedColumns } = resolveColumnMapping(headers);
+    assert.deepStrictEqual(mapping, {
+        product: 'Material Description',
+        quantity: 'Order Qty',
+        price: 'Unit Price',
+        supplier: 'Vendor Name',
+        certifications: 'Eco Label',
+    });
+    assert.deepStrictEqual(unmappedColumns, ['Plant']);
+});
+
+test('aliases are matched ignoring case and punctuation', () => {
+    const { mapping } = resolveColumnMapping(['ITEM_NAME', 'order-qty', 'Recycled %']);
+    assert.deepStrictEqual(mapping, { product: 'ITEM_NAME', quantity: 'order-qty', recycledContent: 'Recycled %' });
+});
+
+test('preferred aliases win and a header feeds only one field', () => {
+    const { mapping } = resolveColumnMapping(['Description', 'Product', 'Qty']);
+    assert.strictEqual(mapping.product, 'Product');
+    assert.deepStrictEqual(resolveColumnMapping(['Description']).mapping, { product: 'Description' });
+});
+
+test('explicit mappings win over aliases', () => {
+    const { mapping } = resolveColumnMapping(['Product', 'Long text'], { product: 'Long text' });
+    assert.strictEqual(mapping.product, 'Long text');
+    assert.strictEqual(mapping.quantity, undefined);
+});
+
+test('header signatures ignore order, case and punctuation', () => {
+    assert.strictEqual(headerSignature(['Item Name', 'Qty']), headerSignature(['qty', 'item_name']));
+    assert.notStrictEqual(headerSignature(['Item Name', 'Qty']), headerSignature(['Item Name', 'Price']));
+});
+
+test('a saved mapping does not fit a re-export whose headers only changed case', () => {
+    // Same signature, but the saved mapping names headers that are no longer in the file.
+    const saved = { product: 'item_name', quantity: 'qty' };
+    const reExport = ['Item Name', 'QTY'];
+    assert.strictEqual(headerSignature(['item_name', 'qty']), headerSignature(reExport));
+    assert.deepStrictEqual(validateColumnMapping(saved, reExport), [
+        'Column "item_name" for "product" is not in the file.',
+        'Column "qty" for "quantity" is not in the file.',
+    ]);
+    assert.deepStrictEqual(validateColumnMapping(saved, ['item_name', 'qty']), []);
+});
+
+test('validateColumnMapping rejects unknown fields and non-objects', () => {
+    assert.deepStrictEqual(validateColumnMapping(['Product'], ['Product']), ['Column mapping must be an object of { field: header }.']);
+    assert.match(validateColumnMapping({ colour: 'Product' }, ['Product'])[0], /Unknown field "colour"/);
+});
+
+test('applyColumnMapping renames mapped columns and keeps the rest', () => {
+    const row = { 'Material Description': ' Recycled paper ', 'PO Qty': '10', Quantity: 'ignored', Plant: 'P1' };
+    const mapping = { product: 'Material Description', quantity: 'PO Qty' };
+    assert.deepStrictEqual(applyColumnMapping(row, mapping), {
+        product: 'Recycled paper',
+        quantity: '10',
+        'original quantity': 'ignored',
+        plant: 'P1',
+    });
+});
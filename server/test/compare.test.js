@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compareAnalyses } = require('../lib/compare');
+
+const lastMonth = {
+    averageScore: 50,
+    quantityWeightedScore: 45,
+    items: [
+        { product: 'Recycled A4 Paper', quantity: 100, greenScore: 70 },
+        { product: 'Plastic cups', quantity: 200, greenScore: 20 },
+        { product: 'LED bulbs', quantity: 10, greenScore: 60 },
+        { product: 'Foam plates', quantity: 50, greenScore: 25 },
+    ],
+};
+const thisMonth = {
+    averageScore: 55,
+    quantityWeightedScore: null,
+    items: [
+        { product: 'recycled a4 paper', quantity: 60, greenScore: 70 },
+        { product: 'Recycled A4 Paper', quantity: 60, greenScore: 70 },
+        { product: 'Plastic Cups!', quantity: 200, greenScore: 10 },
+        { product: 'LED bulbs', quantity: 10, greenScore: 60 },
+        { product: 'Paper cups', quantity: 200, greenScore: 65 },
+    ],
+};
+
+test('matches items by normalized product name and classifies them', () => {
+    const { items, counts } = compareAnalyses(lastMonth, thisMonth);
+    const byKey = Object.fromEntries(items.map(item => [item.key, item]));
+
+    assert.deepStrictEqual(counts, { added: 1, removed: 1, changed: 1, unchanged: 2, regressions: 1 });
+    assert.strictEqual(byKey['foam plates'].status, 'removed');
+    assert.strictEqual(byKey['paper cups'].status, 'added');
+    // Duplicate rows add up: 60 + 60 against 100.
+    assert.strictEqual(byKey['recycled a4 paper'].status, 'changed');
+    assert.strictEqual(byKey['recycled a4 paper'].quantityDelta, 20);
+    assert.strictEqual(byKey['recycled a4 paper'].target.quantity, 120);
+    assert.strictEqual(byKey['plastic cups'].status, 'unchanged');
+    assert.strictEqual(byKey['plastic cups'].scoreDelta, -10);
+    assert.strictEqual(byKey['plastic cups'].regression, true);
+    assert.strictEqual(byKey['led bulbs'].regression, false);
+});
+
+test('lists removed, added, changed, then unchanged items, worst score change first', () => {
+    const { items } = compareAnalyses(lastMonth, thisMonth);
+    assert.deepStrictEqual(items.map(item => item.key), ['foam plates', 'paper cups', 'recycled a4 paper', 'plastic cups', 'led bulbs']);
+});
+
+test('reports score deltas only when both analyses have the score', () => {
+    const { scores } = compareAnalyses(lastMonth, thisMonth);
+    assert.deepStrictEqual(scores.averageScore, { base: 50, target: 55, delta: 5 });
+    assert.deepStrictEqual(scores.quantityWeightedScore, { base: 45, target: null, delta: null });
+    assert.deepStrictEqual(scores.spendWeightedScore, { base: null, target: null, delta: null });
+});
+
+test('handles analyses without items', () => {
+    const { items, counts } = compareAnalyses({}, { items: [{ product: 'Paper', greenScore: 50 }] });
+    assert.strictEqual(items[0].status, 'added');
+    assert.strictEqual(counts.added, 1);
+});
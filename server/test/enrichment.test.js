@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createEnricher } = require('../lib/enrichment');
+
+function fakeProvider() {
+    const batches = [];
+    return {
+        batches,
+        name: 'fake',
+        model: 'fake-1',
+        summarize: async () => 'Summary.',
+        suggestAlternative: async (product) => `Greener ${product}`,
+        suggestAlternatives: async (products) => {
+            batches.push(products);
+            return products.map(product => `Greener ${product}`);
+        },
+    };
+}
+
+function fakeCache(entries = {}) {
+    const reads = [];
+    const writes = [];
+    return {
+        reads,
+        writes,
+        getSuggestions: async (products) => {
+            reads.push(products);
+            return new Map(Object.entries(entries).filter(([name]) => products.some(p => p.toLowerCase() === name)));
+        },
+        setSuggestion: async (product, region, text) => { writes.push([product, text]); },
+        getSummary: async () => null,
+        setSummary: async () => {},
+    };
+}
+
+function enricher(aiProvider, suggestionCache) {
+    return createEnricher({ aiProvider, suggestionCache, batchSize: 2, concurrency: 2, retries: 0, itemTimeoutMs: 1000 });
+}
+
+test('reads the suggestion cache once for all products and only asks the provider for misses', async () => {
+    const provider = fakeProvider();
+    const cache = fakeCache({ 'plastic cups': 'Paper cups' });
+    const products = ['Plastic cups', 'Plastic Cups', 'Foam plates', 'Plastic straws', 'Styrofoam box'];
+    const results = await enricher(provider, cache).suggestAlternatives(products, 'India');
+
+    assert.strictEqual(cache.reads.length, 1);
+    assert.deepStrictEqual(cache.reads[0], ['Plastic cups', 'Foam plates', 'Plastic straws', 'Styrofoam box']);
+    assert.deepStrictEqual(results.get('plastic cups'), { suggestion: 'Paper cups', suggestionSource: 'cache' });
+    assert.deepStrictEqual(results.get('foam plates'), { suggestion: 'Greener Foam plates', suggestionSource: 'fresh' });
+    assert.deepStrictEqual(provider.batches.flat().sort(), ['Foam plates', 'Plastic straws', 'Styrofoam box']);
+    assert.strictEqual(cache.writes.length, 3);
+});
+
+test('asks the provider for everything when the cache is unavailable', async () => {
+    const provider = fakeProvider();
+    const cache = { ...fakeCache(), getSuggestions: async () => { throw new Error('Firestore down'); } };
+    const results = await enricher(provider, cache).suggestAlternatives(['Plastic cups', 'Foam plates'], 'India');
+    assert.strictEqual(results.get('plastic cups').suggestionSource, 'fresh');
+    assert.strictEqual(results.get('foam plates').suggestionSource, 'fresh');
+});
+
+test('a refused batch fails its products without retrying one by one', async () => {
+    const provider = fakeProvider();
+    let singles = 0;
+    provider.suggestAlternatives = async () => { throw Object.assign(new Error('Invalid API key'), { status: 401 }); };
+    provider.suggestAlternative = async () => { singles += 1; return 'never'; };
+    const results = await enricher(provider, fakeCache()).suggestAlternatives(['Plastic cups'], 'India');
+    assert.deepStrictEqual(results.get('plastic cups'), { error: 'Invalid API key' });
+    assert.strictEqual(singles, 0);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { exportFileName, toCsv } = require('../lib/exporters');
+
+// CSV lines without the BOM and trailing line break.
+function csvLines(analysis) {
+    return toCsv(analysis).replace(/^﻿/, '').trimEnd().split('\r\n');
+}
+
+test('writes the original headers followed by the computed columns', () => {
+    const lines = csvLines({
+        columnMapping: { product: 'Item', quantity: 'Qty' },
+        items: [{ product: 'Recycled paper', quantity: 10, plant: 'P1', greenScore: 70, scoreSource: 'rules', footprintKgCO2e: 1.5, matchedRules: ['recycled'] }],
+    });
+    assert.deepStrictEqual(lines, [
+        'Item,Qty,plant,greenScore,scoreSource,footprintKgCO2e,suggestion',
+        'Recycled paper,10,P1,70,rules,1.5,',
+    ]);
+});
+
+test('writes objects from JSON uploads as JSON instead of [object Object]', () => {
+    const [, row] = csvLines({
+        columnMapping: { product: 'product' },
+        items: [{ product: 'Paper', specs: { gsm: 80, size: 'A4' }, tags: ['office', { code: 7 }] }],
+    });
+    assert.strictEqual(row, 'Paper,"{""gsm"":80,""size"":""A4""}","office; {""code"":7}",,,,');
+});
+
+test('neutralises cells that look like formulas', () => {
+    const [, row] = csvLines({
+        columnMapping: { product: 'product' },
+        items: [{ product: '=HYPERLINK("http://x")', note: ['@SUM(A1)'], delta: '-5', greenScore: -0 }],
+    });
+    assert.strictEqual(row, `"'=HYPERLINK(""http://x"")",'@SUM(A1),-5,0,,,`);
+});
+
+test('export file names are built from the analysis name or file name', () => {
+    assert.strictEqual(exportFileName({ fileName: 'Q3 Office Supplies.xlsx' }, 'pdf'), 'Q3-Office-Supplies-green-report.pdf');
+    assert.strictEqual(exportFileName({ name: 'März / April', fileName: 'x.csv' }, 'csv'), 'M-rz-April-green-report.csv');
+    assert.strictEqual(exportFileName({}, 'json'), 'analysis-green-report.json');
+});
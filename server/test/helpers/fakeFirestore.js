@@ -0,0 +1,70 @@
+// Just enough of Firestore for the stores under test: documents in Maps,
+// `==`, `in` and `<=` filters, one orderBy, limit and getAll.
+function timestamp(ms) {
+    return { ms, toMillis: () => ms, toDate: () => new Date(ms) };
+}
+const Timestamp = { fromMillis: timestamp, now: () => timestamp(Date.now()) };
+const FieldValue = { serverTimestamp: () => timestamp(Date.now()) };
+
+function fakeFirestore() {
+    const collections = new Map();
+    let nextId = 0;
+    function collection(name) {
+        if (!collections.has(name)) { collections.set(name, new Map()); }
+        const docs = collections.get(name);
+        const snapshotOf = (id) => ({ id, exists: docs.has(id), data: () => docs.get(id), ref: ref(id) });
+        const ref = (id) => ({
+            id,
+            get: async () => snapshotOf(id),
+            set: async (data) => { docs.set(id, data); },
+            update: async (fields) => { docs.set(id, { ...docs.get(id), ...fields }); },
+            delete: async () => { docs.delete(id); },
+        });
+        const query = (filters, order, limit) => ({
+            where: (field, op, value) => query([...filters, [field, op, value]], order, limit),
+            orderBy: (field, direction = 'asc') => query(filters, [field, direction], limit),
+            limit: (count) => query(filters, order, count),
+            get: async () => {
+                let ids = [...docs.keys()].filter(id => filters.every(([field, op, value]) => {
+                    const actual = docs.get(id)[field] ?? null;
+                    if (op === '==') { return actual === value; }
+                    if (op === 'in') { return value.includes(actual); }
+                    return actual !== null && actual.ms <= value.ms;
+                }));
+                if (order) {
+                    const [field, direction] = order;
+                    ids = ids.map((id, index) => ({ id, index }))
+                        .sort((a, b) => (docs.get(a.id)[field].ms - docs.get(b.id)[field].ms) || (a.index - b.index))
+                        .map(({ id }) => id);
+                    if (direction === 'desc') { ids.reverse(); }
+                }
+                const found = ids.slice(0, limit ?? ids.length).map(snapshotOf);
+                return { empty: found.length === 0, size: found.length, docs: found };
+            },
+        });
+        return {
+            ...query([], null, null),
+            add: async (data) => {
+                const id = `doc${++nextId}`;
+                docs.set(id, data);
+                return ref(id);
+            },
+            doc: (id = `doc${++nextId}`) => ref(id),
+        };
+    }
+    return {
+        collection,
+        getAll: (...refs) => Promise.all(refs.map(ref => ref.get())),
+        // The documents of a collection, for setting up and inspecting state directly.
+        raw: (name) => {
+            collection(name);
+            return collections.get(name);
+        },
+    };
+}
+
+module.exports = {
+    FieldValue,
+    Timestamp,
+    fakeFirestore,
+};
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { matchesHistoryFilters, parseDateRange, parseHistoryQuery } = require('../lib/historyQuery');
+
+test('defaults to the first page of live analyses', () => {
+    assert.deepStrictEqual(parseHistoryQuery({}), {
+        options: {
+            limit: 20, cursor: null, deleted: false, from: null, to: null, minScore: null, maxScore: null, tags: [], search: '',
+        },
+        problems: [],
+    });
+});
+
+test('reads filters from the query string', () => {
+    const { options, problems } = parseHistoryQuery({
+        limit: '50', cursor: 'abc', deleted: 'true', from: '2024-01-01', to: '2024-01-31',
+        minScore: '20', maxScore: '60', tags: 'Q3, Office', q: ' Cups ',
+    });
+    assert.deepStrictEqual(problems, []);
+    assert.strictEqual(options.limit, 50);
+    assert.strictEqual(options.deleted, true);
+    assert.strictEqual(options.from.toISOString(), '2024-01-01T00:00:00.000Z');
+    // A bare `to` date covers the whole day.
+    assert.strictEqual(options.to.toISOString(), '2024-01-31T23:59:59.999Z');
+    assert.deepStrictEqual(options.tags, ['q3', 'office']);
+    assert.strictEqual(options.search, 'cups');
+});
+
+test('reports every invalid parameter', () => {
+    const { problems } = parseHistoryQuery({ limit: '500', from: 'yesterday', minScore: '80', maxScore: '120' });
+    assert.deepStrictEqual(problems, [
+        'limit must be a whole number from 1 to 100.',
+        'from must be a date, e.g. 2024-01-31.',
+        'maxScore must be a number from 0 to 100.',
+    ]);
+    assert.deepStrictEqual(parseHistoryQuery({ minScore: '60', maxScore: '20' }).problems,
+        ['minScore must not be greater than maxScore.']);
+});
+
+test('parseDateRange rejects a range that ends before it starts', () => {
+    const problems = [];
+    const { from, to } = parseDateRange({ from: '2024-02-01', to: '2024-01-01' }, problems);
+    assert.deepStrictEqual(problems, ['from must be before to.']);
+    assert.ok(from > to);
+});
+
+test('matches analyses on trash state, score, tags and name', () => {
+    const { options } = parseHistoryQuery({ minScore: '40', tags: 'q3', q: 'office' });
+    const analysis = { name: 'Office order', fileName: 'po.csv', averageScore: 55, tags: ['Q3'] };
+    assert.strictEqual(matchesHistoryFilters(analysis, options), true);
+    assert.strictEqual(matchesHistoryFilters({ ...analysis, averageScore: 30 }, options), false);
+    assert.strictEqual(matchesHistoryFilters({ ...analysis, tags: ['Q4'] }, options), false);
+    assert.strictEqual(matchesHistoryFilters({ ...analysis, name: null, fileName: 'office.csv' }, options), true);
+    assert.strictEqual(matchesHistoryFilters({ ...analysis, name: 'Canteen' }, options), false);
+    assert.strictEqual(matchesHistoryFilters({ ...analysis, deletedAt: new Date() }, options), false);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createJobStore, serializeJob } = require('../lib/jobs');
+const { FieldValue, Timestamp, fakeFirestore } = require('./helpers/fakeFirestore');
+
+const MINUTE = 60 * 1000;
+
+// A job another process left behind, last updated `ageMs` ago.
+function leftover(db, id, { instanceId, ageMs, status = 'running' }) {
+    db.raw('jobs').set(id, { status, stage: 'scoring', instanceId, updatedAt: Timestamp.fromMillis(Date.now() - ageMs) });
+}
+
+test('fails this instance\'s jobs left over from before a restart straight away', async () => {
+    const db = fakeFirestore();
+    leftover(db, 'mine', { instanceId: 'server-a', ageMs: 1000 });
+    const jobs = createJobStore({ db, FieldValue, instanceId: 'server-a' });
+
+    assert.strictEqual(await jobs.failStale(30 * MINUTE), 1);
+    const job = await jobs.get('mine');
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(job.errorStatus, 500);
+    assert.match(job.error, /interrupted/);
+});
+
+test('leaves other instances\' jobs alone until they stop making progress', async () => {
+    const db = fakeFirestore();
+    leftover(db, 'busy', { instanceId: 'server-b', ageMs: 1000 });
+    leftover(db, 'stuck', { instanceId: 'server-b', ageMs: 31 * MINUTE, status: 'queued' });
+    leftover(db, 'legacy', { instanceId: undefined, ageMs: 31 * MINUTE });
+    const jobs = createJobStore({ db, FieldValue, instanceId: 'server-a' });
+
+    assert.strictEqual(await jobs.failStale(30 * MINUTE), 2);
+    assert.strictEqual((await jobs.get('busy')).status, 'running');
+    assert.strictEqual((await jobs.get('stuck')).status, 'failed');
+    assert.strictEqual((await jobs.get('legacy')).status, 'failed');
+});
+
+test('never fails jobs running in this process or already finished', async () => {
+    const db = fakeFirestore();
+    const jobs = createJobStore({ db, FieldValue, instanceId: 'server-a' });
+    const running = await jobs.create({ userId: 'user-1' });
+    await jobs.update(running, { status: 'running', stage: 'parsing' });
+    leftover(db, 'done', { instanceId: 'server-a', ageMs: 31 * MINUTE, status: 'completed' });
+
+    assert.strictEqual(await jobs.failStale(0), 0);
+    assert.strictEqual((await jobs.get(running)).status, 'running');
+    const stored = await jobs.get(running);
+    assert.strictEqual(stored.instanceId, 'server-a');
+    assert.ok(!('instanceId' in serializeJob(stored)));
+    assert.strictEqual((await jobs.get('done')).status, 'completed');
+});
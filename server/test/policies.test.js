@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createPolicyStore, evaluatePolicies, parsePolicyRule } = require('../lib/policies');
+const { FieldValue, fakeFirestore } = require('./helpers/fakeFirestore');
+
+// Parses a rule that must be valid and gives it an id, like a stored rule.
+function rule(id, body) {
+    const { rule: parsed, problems } = parsePolicyRule(body);
+    assert.deepStrictEqual(problems, [], id);
+    return { id, ...parsed };
+}
+
+const rules = [
+    rule('no-single-use', { name: 'No single-use plastics', severity: 'critical', type: 'forbidden_product', match: { products: ['single use', 'styrofoam'], except: ['compostable'] } }),
+    rule('led-only', { name: 'LED-only lighting', type: 'required_product', match: { categories: ['Lighting'] }, require: { products: ['LED'] } }),
+    rule('recycled-paper', { name: 'Recycled paper', severity: 'info', type: 'min_recycled_content', match: { products: ['paper'] }, minPercent: 30 }),
+    rule('approved', { name: 'Approved stationers', type: 'supplier_allowlist', match: { categories: ['stationery'] }, suppliers: ['Green Office'] }),
+    rule('blocked', { name: 'Blocked vendor', severity: 'critical', type: 'supplier_denylist', suppliers: ['Cheap Plastics Co.'] }),
+    rule('cap', { name: 'Cup cap', type: 'quantity_cap', match: { products: ['cups'] }, maxQuantity: 500 }),
+];
+
+function messagesFor(item) {
+    return evaluatePolicies([item], rules).violations.map(violation => [violation.ruleId, violation.message]);
+}
+
+test('forbidden products match whole words and respect exceptions', () => {
+    assert.deepStrictEqual(messagesFor({ product: 'Single-Use Cups' }), [['no-single-use', 'Single-Use Cups is not allowed.']]);
+    assert.deepStrictEqual(messagesFor({ product: 'Compostable single use cups' }), []);
+    assert.deepStrictEqual(messagesFor({ product: 'Styrofoamboxes' }), []);
+});
+
+test('required products only apply to rows in the matching category', () => {
+    assert.deepStrictEqual(messagesFor({ product: 'CFL tube', category: 'lighting' }),
+        [['led-only', 'Only LED products are allowed; found CFL tube.']]);
+    assert.deepStrictEqual(messagesFor({ product: 'LED tube', category: 'Lighting' }), []);
+    assert.deepStrictEqual(messagesFor({ product: 'CFL tube' }), []);
+});
+
+test('recycled content comes from its column or the product name', () => {
+    assert.deepStrictEqual(messagesFor({ product: 'A4 paper', recycledContent: '50%' }), []);
+    assert.deepStrictEqual(messagesFor({ product: 'A4 paper, 20% recycled' }),
+        [['recycled-paper', 'Recycled content 20% is below the required 30%.']]);
+    assert.deepStrictEqual(messagesFor({ product: 'A4 paper' }),
+        [['recycled-paper', 'No recycled content given; at least 30% is required.']]);
+});
+
+test('supplier lists compare supplier keys', () => {
+    assert.deepStrictEqual(messagesFor({ product: 'Pens', category: 'Stationery', supplier: 'GREEN OFFICE' }), []);
+    assert.deepStrictEqual(messagesFor({ product: 'Pens', category: 'stationery', supplier: 'Acme' }),
+        [['approved', 'Acme is not an approved supplier.']]);
+    assert.deepStrictEqual(messagesFor({ product: 'Pens', category: 'stationery' }),
+        [['approved', 'No supplier given; only approved suppliers may be used.']]);
+    assert.deepStrictEqual(messagesFor({ product: 'Bags', supplier: 'cheap plastics co' }),
+        [['blocked', 'cheap plastics co is a blocked supplier.']]);
+});
+
+test('quantity caps apply to the parsed quantity', () => {
+    assert.deepStrictEqual(messagesFor({ product: 'Coffee cups', quantity: '1,000' }), [['cap', 'Quantity 1000 is above the limit of 500.']]);
+    assert.deepStrictEqual(messagesFor({ product: 'Coffee cups', quantity: 500 }), []);
+});
+
+test('violations are sorted by severity and counted, with the row\'s line', () => {
+    const items = [
+        { product: 'Coffee cups', quantity: 900 },
+        { product: 'Styrofoam cups', quantity: 10, supplier: 'Cheap Plastics Co.' },
+    ];
+    const { violations, violationCounts } = evaluatePolicies(items, rules, [2, 3]);
+    assert.deepStrictEqual(violations.map(violation => [violation.severity, violation.ruleId, violation.line]), [
+        ['critical', 'no-single-use', 3],
+        ['critical', 'blocked', 3],
+        ['warning', 'cap', 2],
+    ]);
+    assert.deepStrictEqual(violationCounts, { critical: 2, warning: 1, info: 0, total: 3 });
+});
+
+test('parsePolicyRule reports what is missing', () => {
+    assert.deepStrictEqual(parsePolicyRule({ name: 'x', type: 'forbidden_product' }).problems,
+        ['match needs products or categories, or the rule would cover every row.']);
+    assert.deepStrictEqual(parsePolicyRule({ type: 'nope', severity: 'fatal' }).problems, [
+        'name is required (at most 120 characters).',
+        'severity must be one of: critical, warning, info.',
+        'type must be one of: forbidden_product, required_product, min_recycled_content, supplier_allowlist, supplier_denylist, quantity_cap.',
+    ]);
+    assert.deepStrictEqual(parsePolicyRule({ name: 'x', type: 'min_recycled_content', minPercent: 150 }).problems,
+        ['minPercent must be between 0 and 100.']);
+    assert.deepStrictEqual(parsePolicyRule({ name: 'x', type: 'forbidden_product', match: { products: [' Cups ', 'cups', 3] } }).rule.match.products,
+        ['Cups']);
+});
+
+test('the store keeps rules within their workspace', async () => {
+    const store = createPolicyStore({ db: fakeFirestore(), FieldValue });
+    const [banned, ledOnly, recycled] = rules.map(({ id, ...body }) => body);
+    const personal = { uid: 'user-1', orgId: null };
+    const org = { uid: 'user-1', orgId: 'org-1' };
+    const created = await store.create(banned, personal);
+    await store.create(ledOnly, org);
+
+    assert.deepStrictEqual((await store.list(personal)).map(policy => policy.name), ['No single-use plastics']);
+    assert.deepStrictEqual((await store.list(org)).map(policy => policy.name), ['LED-only lighting']);
+    assert.strictEqual(await store.update(created.id, recycled, org), null);
+    assert.strictEqual(await store.remove(created.id, { uid: 'user-2', orgId: null }), false);
+    assert.strictEqual((await store.update(created.id, recycled, personal)).name, 'Recycled paper');
+    assert.strictEqual(await store.remove(created.id, personal), true);
+    assert.deepStrictEqual(await store.list(personal), []);
+});
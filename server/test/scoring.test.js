@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compileRuleset, scoreItem } = require('../lib/scoring');
+
+const ruleset = compileRuleset(require('../rulesets/default.json'));
+
+function score(product, category) {
+    return scoreItem({ product, category }, ruleset);
+}
+
+test('terms match whole words only', () => {
+    // "led" used to match inside these words.
+    assert.deepStrictEqual(score('Recycled A4 Paper'), { greenScore: 70, matchedRules: ['recycled'] });
+    assert.deepStrictEqual(score('Sealed envelopes'), { greenScore: 50, matchedRules: [] });
+    assert.deepStrictEqual(score('Bottled water'), { greenScore: 50, matchedRules: [] });
+});
+
+test('plural forms are penalised like the singular', () => {
+    assert.deepStrictEqual(score('Plastics cutlery'), { greenScore: 20, matchedRules: ['plastic'] });
+    assert.deepStrictEqual(score('Disposables pack'), { greenScore: 25, matchedRules: ['disposable'] });
+    assert.deepStrictEqual(score('Disposable Plastic Cups').matchedRules, ['plastic', 'disposable']);
+});
+
+test('plastic-free and reusable products are not penalised for plastic', () => {
+    assert.deepStrictEqual(score('Plastic-free straws'), { greenScore: 50, matchedRules: [] });
+    assert.deepStrictEqual(score('Plastic free packaging'), { greenScore: 50, matchedRules: [] });
+    assert.deepStrictEqual(score('Reusable plastic crates'), { greenScore: 65, matchedRules: ['reusable'] });
+});
+
+test('LED products get the bonus whatever their category', () => {
+    assert.deepStrictEqual(score('LED Bulb 9W', 'Office'), { greenScore: 60, matchedRules: ['led'] });
+    assert.deepStrictEqual(score('LED Light Bulbs', 'lighting').greenScore, 60);
+    assert.deepStrictEqual(score('LED Light Bulbs').greenScore, 60);
+});
+
+test('single-use is matched with or without a hyphen', () => {
+    assert.strictEqual(score('Single-Use Cups').greenScore, 20);
+    assert.strictEqual(score('single use spoons').greenScore, 20);
+});
+
+test('scores are clamped to the ruleset range', () => {
+    assert.strictEqual(score('Disposable single-use plastic plates').greenScore, 0);
+    assert.strictEqual(score('Recycled compostable organic reusable local bags').greenScore, 100);
+});
+
+test('category-scoped rules only apply to rows in those categories', () => {
+    const scoped = compileRuleset({
+        version: 'test',
+        rules: [{ id: 'led', terms: ['led'], weight: 10, categories: ['Lighting'] }],
+    });
+    assert.strictEqual(scoreItem({ product: 'LED panel', category: 'lighting' }, scoped).greenScore, 60);
+    assert.strictEqual(scoreItem({ product: 'LED panel', category: 'furniture' }, scoped).greenScore, 50);
+    assert.strictEqual(scoreItem({ product: 'LED panel' }, scoped).greenScore, 60);
+});
+
+test('compileRuleset rejects incomplete rules', () => {
+    assert.throws(() => compileRuleset({ rules: [] }), /missing a version/);
+    assert.throws(() => compileRuleset({ version: '1', rules: [{ id: 'x', terms: ['a'] }] }), /numeric weight/);
+    assert.throws(() => compileRuleset({ version: '1', rules: [{ id: 'x', weight: 1 }] }), /"terms" or a "pattern"/);
+});
+
+test('the content hash changes with the rules, not with formatting', () => {
+    const raw = require('../rulesets/default.json');
+    assert.strictEqual(compileRuleset(JSON.parse(JSON.stringify(raw))).contentHash, ruleset.contentHash);
+    const edited = { ...raw, rules: raw.rules.map(rule => (rule.id === 'led' ? { ...rule, weight: 15 } : rule)) };
+    assert.notStrictEqual(compileRuleset(edited).contentHash, ruleset.contentHash);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildSupplierDetail, buildSupplierScorecards, supplierKey } = require('../lib/suppliers');
+
+const analyses = [
+    {
+        id: 'a1',
+        createdAt: new Date('2024-01-10T09:00:00Z'),
+        items: [
+            { product: 'Plastic cups', supplier: 'Acme Traders Pvt. Ltd', quantity: 100, price: 2, greenScore: 20 },
+            { product: 'Recycled paper', supplier: 'Green Office', quantity: 10, price: 5, greenScore: 70 },
+            { product: 'Stapler', quantity: 1, price: 50, greenScore: 50 },
+        ],
+    },
+    {
+        id: 'a2',
+        createdAt: new Date('2024-02-12T09:00:00Z'),
+        items: [
+            { product: 'plastic cups', supplier: 'ACME TRADERS PVT LTD', quantity: 50, price: 2, greenScore: 20 },
+            { product: 'LED bulbs', supplier: 'acme traders pvt ltd', quantity: 5, price: 10, greenScore: 60 },
+            { product: 'Pens', supplier: '  ', quantity: 20, greenScore: 50 },
+        ],
+    },
+];
+
+test('supplier keys are shared by spelling variants', () => {
+    assert.strictEqual(supplierKey('Acme Traders Pvt. Ltd'), 'acme-traders-pvt-ltd');
+    assert.strictEqual(supplierKey(' ACME  traders pvt ltd '), 'acme-traders-pvt-ltd');
+});
+
+test('builds one scorecard per supplier, biggest spend first', () => {
+    const { suppliers, totalSpend, unassignedItems } = buildSupplierScorecards(analyses);
+    assert.strictEqual(totalSpend, 450);
+    assert.strictEqual(unassignedItems, 2);
+    assert.deepStrictEqual(suppliers.map(card => [card.key, card.supplier, card.analyses, card.itemCount, card.totalSpend]), [
+        ['acme-traders-pvt-ltd', 'Acme Traders Pvt. Ltd', 2, 3, 350],
+        ['green-office', 'Green Office', 1, 1, 50],
+    ]);
+    const [acme] = suppliers;
+    assert.strictEqual(acme.spendShare, 0.778);
+    assert.strictEqual(acme.lowScoreShare, 0.667);
+    assert.strictEqual(acme.lastSeen, '2024-02-12T09:00:00.000Z');
+});
+
+test('supplier detail merges products and trends over the supplier\'s own items', () => {
+    const detail = buildSupplierDetail(analyses, 'acme-traders-pvt-ltd');
+    assert.deepStrictEqual(detail.worstProducts, [
+        { product: 'Plastic cups', totalQuantity: 150, totalSpend: 300, orders: 2, averageScore: 20 },
+        { product: 'LED bulbs', totalQuantity: 5, totalSpend: 50, orders: 1, averageScore: 60 },
+    ]);
+    assert.deepStrictEqual(detail.trend.map(point => [point.period, point.itemCount]), [['2024-01', 1], ['2024-02', 2]]);
+    assert.strictEqual(detail.period, 'month');
+});
+
+test('supplier detail is null for unknown suppliers', () => {
+    assert.strictEqual(buildSupplierDetail(analyses, 'nobody'), null);
+});
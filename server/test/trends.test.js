@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildTrends } = require('../lib/trends');
+
+function analysis(id, date, items) {
+    return { id, createdAt: new Date(date), items };
+}
+
+const analyses = [
+    analysis('a1', '2024-01-10T09:00:00Z', [
+        { product: 'Plastic cups', quantity: 100, price: 1, greenScore: 20 },
+        { product: 'Recycled paper', quantity: 10, price: 5, greenScore: 70 },
+    ]),
+    analysis('a2', '2024-01-25T09:00:00Z', [
+        { product: 'plastic cups', quantity: 50, price: 1, greenScore: 20 },
+        { product: 'Foam plates', quantity: 5, greenScore: 25 },
+    ]),
+    analysis('a3', '2024-03-05T09:00:00Z', [
+        { product: 'Plastic Cups', quantity: 10, price: 2, greenScore: 30 },
+        { product: 'Foam plates', quantity: 5, greenScore: 25 },
+        { product: 'LED bulbs', quantity: 4, greenScore: 60 },
+    ]),
+    { id: 'undated', createdAt: null, items: [{ product: 'Ignored', greenScore: 0 }] },
+];
+
+test('buckets analyses by month and leaves out empty months', () => {
+    const { period, series } = buildTrends(analyses);
+    assert.strictEqual(period, 'month');
+    assert.deepStrictEqual(series.map(point => [point.period, point.start, point.analyses, point.itemCount]), [
+        ['2024-01', '2024-01-01T00:00:00.000Z', 2, 4],
+        ['2024-03', '2024-03-01T00:00:00.000Z', 1, 3],
+    ]);
+    assert.strictEqual(series[0].lowScoreShare, 0.75);
+    assert.strictEqual(series[1].lowScoreShare, 0.667);
+});
+
+test('labels quarters and ISO weeks', () => {
+    assert.deepStrictEqual(buildTrends(analyses, { period: 'quarter' }).series.map(point => point.period), ['2024-Q1']);
+    const weeks = buildTrends([
+        analysis('w1', '2021-01-01T12:00:00Z', []), // a Friday in the last ISO week of 2020
+        analysis('w2', '2024-12-31T12:00:00Z', []), // a Tuesday in the first ISO week of 2025
+    ], { period: 'week' }).series;
+    assert.deepStrictEqual(weeks.map(point => [point.period, point.start]), [
+        ['2020-W53', '2020-12-28T00:00:00.000Z'],
+        ['2025-W01', '2024-12-30T00:00:00.000Z'],
+    ]);
+});
+
+test('lists low scorers that recur across analyses, worst first', () => {
+    const { worstProducts } = buildTrends(analyses);
+    assert.deepStrictEqual(worstProducts, [
+        { product: 'Plastic cups', totalQuantity: 160, occurrences: 3, averageScore: 23, totalSpend: 170 },
+        { product: 'Foam plates', totalQuantity: 10, occurrences: 2, averageScore: 25, totalSpend: null },
+    ]);
+    assert.strictEqual(buildTrends(analyses, { worstLimit: 1 }).worstProducts.length, 1);
+});
+
+test('returns an empty series without analyses', () => {
+    const trends = buildTrends([]);
+    assert.deepStrictEqual(trends.series, []);
+    assert.deepStrictEqual(trends.worstProducts, []);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { validateRows } = require('../lib/validation');
+
+function reasonsFor(row) {
+    const { rejectedRows } = validateRows([row]);
+    return rejectedRows.length > 0 ? rejectedRows[0].reasons : [];
+}
+
+test('accepts numbers the way spreadsheets and ERP exports write them', () => {
+    for (const value of [12, '12', ' 12.50 ', '1,200', '12,00,000', '₹1,200.50', 'Rs. 450', '450 INR', '$3.99', 'USD 10']) {
+        assert.deepStrictEqual(reasonsFor({ product: 'Paper', price: value }), [], `price ${value}`);
+    }
+});
+
+test('rejects values that only contain a number', () => {
+    assert.deepStrictEqual(reasonsFor({ product: 'Paper', quantity: '10 boxes' }), ['Quantity "10 boxes" is not a number.']);
+    assert.deepStrictEqual(reasonsFor({ product: 'Paper', quantity: 'abc12' }), ['Quantity "abc12" is not a number.']);
+    assert.deepStrictEqual(reasonsFor({ product: 'Paper', quantity: '1,2,3' }), ['Quantity "1,2,3" is not a number.']);
+    assert.deepStrictEqual(reasonsFor({ product: 'Paper', price: Infinity }), ['Unit price "Infinity" is not a number.']);
+});
+
+test('rejects negative quantities and prices', () => {
+    assert.deepStrictEqual(reasonsFor({ product: 'Paper', quantity: -5, price: '-1.50' }), [
+        'Quantity must not be negative.',
+        'Unit price must not be negative.',
+    ]);
+});
+
+test('recycled content may carry a percent sign but no currency', () => {
+    assert.deepStrictEqual(reasonsFor({ product: 'Paper', recycledContent: '30%' }), []);
+    assert.deepStrictEqual(reasonsFor({ product: 'Paper', recycledContent: '$30' }), ['Recycled content "$30" is not a number.']);
+});
+
+test('empty cells are allowed; a missing product is not', () => {
+    assert.deepStrictEqual(reasonsFor({ product: 'Paper', quantity: '', price: null }), []);
+    assert.deepStrictEqual(reasonsFor({ product: '  ', quantity: 2 }), ['Missing product.']);
+});
+
+test('product must be text or a number', () => {
+    assert.deepStrictEqual(reasonsFor({ product: 4711 }), []);
+    for (const product of [{ x: 1 }, ['Paper'], true]) {
+        assert.deepStrictEqual(reasonsFor({ product }), ['Product must be text, not a list or object.'], JSON.stringify(product));
+    }
+});
+
+test('reports rejected rows by their line in the file and skips blank rows', () => {
+    const rows = [
+        { product: 'Paper', quantity: '10' },
+        { product: '', quantity: '' },
+        { product: '', quantity: '3' },
+        { product: 'Cups', quantity: '2' },
+    ];
+    const { validRows, validLines, rejectedRows } = validateRows(rows, [2, 3, 4, 5]);
+    assert.deepStrictEqual(validRows.map(row => row.product), ['Paper', 'Cups']);
+    assert.deepStrictEqual(validLines, [2, 5]);
+    assert.deepStrictEqual(rejectedRows, [{ line: 4, reasons: ['Missing product.'], row: rows[2] }]);
+});
@@ -0,0 +1,218 @@
+// Webhook delivery against a local receiver: signatures, retries with backoff,
+// giving up, the delivery log and the private-address guard.
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { createWebhookService, signPayload } = require('../lib/webhooks');
+const { FieldValue, Timestamp, fakeFirestore } = require('./helpers/fakeFirestore');
+
+// A receiver whose answer to each request is decided by `respond(req, res, count)`.
+function startReceiver(respond) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            respond(req, res, received.length);
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ url: `http://127.0.0.1:${server.address().port}/webhooks`, received, server });
+        });
+    });
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Waits until the delivery has been attempted `attempts` times and that attempt is recorded.
+async function waitForAttempts(db, deliveryId, attempts) {
+    for (let waited = 0; waited < 5000; waited += 10) {
+        const delivery = db.raw('webhookDeliveries').get(deliveryId);
+        if (delivery && delivery.attempts >= attempts) { return delivery; }
+        await sleep(10);
+    }
+    throw new Error(`Delivery ${deliveryId} was not attempted ${attempts} times.`);
+}
+
+const workspace = { uid: 'user-1', orgId: null };
+let db;
+let receiver;
+
+beforeEach(() => {
+    db = fakeFirestore();
+});
+
+afterEach(() => {
+    if (receiver) {
+        receiver.server.closeAllConnections();
+        receiver.server.close();
+        receiver = null;
+    }
+});
+
+function service(options = {}) {
+    return createWebhookService({
+        db, FieldValue, Timestamp, allowPrivateUrls: true, timeoutMs: 500, maxAttempts: 3, retryBaseMs: 20, ...options,
+    });
+}
+
+test('signs each delivery with the webhook secret', async () => {
+    receiver = await startReceiver((req, res) => res.writeHead(204).end());
+    const webhooks = service();
+    const webhook = await webhooks.create({ url: receiver.url, events: ['analysis.completed'], threshold: 40 }, workspace);
+    const deliveryId = await webhooks.ping(webhook.id, workspace);
+    await waitForAttempts(db, deliveryId, 1);
+
+    const [{ headers, body }] = receiver.received;
+    assert.strictEqual(headers['x-webhook-event'], 'ping');
+    assert.strictEqual(headers['x-webhook-delivery'], deliveryId);
+    const expected = Buffer.from(`sha256=${signPayload(webhook.secret, headers['x-webhook-timestamp'], body)}`);
+    const signature = Buffer.from(headers['x-webhook-signature']);
+    assert.ok(crypto.timingSafeEqual(expected, signature));
+
+    // Any change to the body, or another secret, breaks the signature.
+    assert.notStrictEqual(signPayload(webhook.secret, headers['x-webhook-timestamp'], `${body} `), signature.toString().slice(7));
+    assert.notStrictEqual(signPayload('whsec_other', headers['x-webhook-timestamp'], body), signature.toString().slice(7));
+    assert.strictEqual(JSON.parse(body).id, deliveryId);
+});
+
+test('retries 5xx answers with exponential backoff until one succeeds', async () => {
+    receiver = await startReceiver((req, res, count) => res.writeHead(count <= 2 ? 500 : 204).end());
+    const webhooks = service({ maxAttempts: 5, retryBaseMs: 40 });
+    const webhook = await webhooks.create({ url: receiver.url, events: ['analysis.completed'], threshold: 40 }, workspace);
+    const deliveryId = await webhooks.ping(webhook.id, workspace);
+
+    const first = await waitForAttempts(db, deliveryId, 1);
+    assert.strictEqual(first.status, 'pending');
+    assert.strictEqual(first.responseStatus, 500);
+    assert.strictEqual(first.error, 'Receiver answered 500.');
+    const firstDelay = first.nextAttemptAt.ms - first.lastAttemptAt.ms;
+    assert.ok(firstDelay >= 40 && firstDelay < 80, `first retry after ${firstDelay} ms`);
+
+    // Not due yet: nothing is sent.
+    await webhooks.retryDue();
+    assert.strictEqual(receiver.received.length, 1);
+
+    await sleep(firstDelay + 10);
+    await webhooks.retryDue();
+    const second = await waitForAttempts(db, deliveryId, 2);
+    const secondDelay = second.nextAttemptAt.ms - second.lastAttemptAt.ms;
+    assert.ok(secondDelay >= 80 && secondDelay < 120, `second retry after ${secondDelay} ms`);
+
+    await sleep(secondDelay + 10);
+    await webhooks.retryDue();
+    const third = await waitForAttempts(db, deliveryId, 3);
+    assert.strictEqual(third.status, 'succeeded');
+    assert.strictEqual(third.responseStatus, 204);
+    assert.strictEqual(third.error, null);
+    assert.strictEqual(third.nextAttemptAt, null);
+    // Every attempt carries the same delivery body.
+    assert.strictEqual(new Set(receiver.received.map(request => request.body)).size, 1);
+});
+
+test('treats a receiver that does not answer in time as a failed attempt', async () => {
+    receiver = await startReceiver(() => {});
+    const webhooks = service({ timeoutMs: 100 });
+    const webhook = await webhooks.create({ url: receiver.url, events: ['analysis.completed'], threshold: 40 }, workspace);
+    const deliveryId = await webhooks.ping(webhook.id, workspace);
+
+    const delivery = await waitForAttempts(db, deliveryId, 1);
+    assert.strictEqual(delivery.status, 'pending');
+    assert.strictEqual(delivery.responseStatus, null);
+    assert.strictEqual(delivery.error, 'No response within 100 ms.');
+    assert.ok(delivery.nextAttemptAt);
+});
+
+test('gives up after maxAttempts and stops retrying', async () => {
+    receiver = await startReceiver((req, res) => res.writeHead(503).end());
+    const webhooks = service({ maxAttempts: 3, retryBaseMs: 10 });
+    const webhook = await webhooks.create({ url: receiver.url, events: ['analysis.completed'], threshold: 40 }, workspace);
+    const deliveryId = await webhooks.ping(webhook.id, workspace);
+
+    for (let attempt = 1; attempt < 3; attempt += 1) {
+        await waitForAttempts(db, deliveryId, attempt);
+        await sleep(10 * 2 ** attempt + 10);
+        await webhooks.retryDue();
+    }
+    const delivery = await waitForAttempts(db, deliveryId, 3);
+    assert.strictEqual(delivery.status, 'failed');
+    assert.strictEqual(delivery.nextAttemptAt, null);
+
+    await sleep(50);
+    await webhooks.retryDue();
+    assert.strictEqual(receiver.received.length, 3);
+});
+
+test('keeps a delivery log per webhook, newest first', async () => {
+    receiver = await startReceiver((req, res, count) => res.writeHead(count === 1 ? 204 : 500).end());
+    const webhooks = service({ maxAttempts: 1 });
+    const webhook = await webhooks.create({ url: receiver.url, events: ['analysis.completed'], threshold: 40 }, workspace);
+    const first = await webhooks.ping(webhook.id, workspace);
+    await waitForAttempts(db, first, 1);
+    await sleep(5);
+    const second = await webhooks.ping(webhook.id, workspace);
+    await waitForAttempts(db, second, 1);
+
+    const log = await webhooks.deliveryLog(webhook.id, workspace);
+    assert.deepStrictEqual(log.map(entry => [entry.id, entry.event, entry.status, entry.attempts, entry.responseStatus]), [
+        [second, 'ping', 'failed', 1, 500],
+        [first, 'ping', 'succeeded', 1, 204],
+    ]);
+    assert.strictEqual(log[0].error, 'Receiver answered 500.');
+    assert.ok(log[0].lastAttemptAt);
+    // Other workspaces can't read it.
+    assert.strictEqual(await webhooks.deliveryLog(webhook.id, { uid: 'user-2', orgId: null }), null);
+});
+
+test('queues analysis events by threshold with the enriched summary', async () => {
+    receiver = await startReceiver((req, res) => res.writeHead(204).end());
+    const webhooks = service();
+    await webhooks.create({ url: receiver.url, events: ['analysis.completed', 'analysis.below_threshold'], threshold: 50 }, workspace);
+    const analysis = {
+        id: 'analysis-1',
+        userId: workspace.uid,
+        orgId: null,
+        fileName: 'po.csv',
+        averageScore: 35,
+        itemCount: 2,
+        items: [
+            { product: 'Plastic cups', greenScore: 20, suggestion: 'Paper cups' },
+            { product: 'A4 paper', greenScore: 50 },
+        ],
+        summary: 'Mostly disposables.',
+        aiStatus: 'complete',
+    };
+    const deliveryIds = await webhooks.analysisCompleted(analysis);
+    assert.strictEqual(deliveryIds.length, 2);
+    await Promise.all(deliveryIds.map(id => waitForAttempts(db, id, 1)));
+
+    const events = receiver.received.map(request => JSON.parse(request.body));
+    assert.deepStrictEqual(events.map(event => event.event).sort(), ['analysis.below_threshold', 'analysis.completed']);
+    const { analysis: summary } = events[0].data;
+    assert.strictEqual(summary.aiStatus, 'complete');
+    assert.strictEqual(summary.lowScoreItems, 1);
+    assert.deepStrictEqual(summary.lowScorers, [{ product: 'Plastic cups', greenScore: 20, suggestion: 'Paper cups' }]);
+
+    // Above the threshold only analysis.completed fires.
+    const more = await webhooks.analysisCompleted({ ...analysis, id: 'analysis-2', averageScore: 70 });
+    assert.strictEqual(more.length, 1);
+});
+
+test('refuses to deliver to private or local addresses', async () => {
+    receiver = await startReceiver((req, res) => res.writeHead(204).end());
+    const webhooks = service({ allowPrivateUrls: false, maxAttempts: 1 });
+    const port = new URL(receiver.url).port;
+    const urls = [receiver.url, `http://localhost:${port}/webhooks`, `http://[::ffff:127.0.0.1]:${port}/webhooks`];
+    for (const url of urls) {
+        const webhook = await webhooks.create({ url, events: ['analysis.completed'], threshold: 40 }, workspace);
+        const delivery = await waitForAttempts(db, await webhooks.ping(webhook.id, workspace), 1);
+        assert.strictEqual(delivery.status, 'failed', url);
+        assert.match(delivery.error, /private or local address/, url);
+    }
+    assert.strictEqual(receiver.received.length, 0);
+});